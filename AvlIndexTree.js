@@ -0,0 +1,247 @@
+// ==========================================
+// ADVANCED AVL TREE (Order Statistic Tree)
+// ==========================================
+
+class Node {
+  constructor(id, filePosition) {
+    this.id = id;
+    this.left = null;
+    this.right = null;
+    this.height = 1;
+    this.filePosition = filePosition;
+    this.size = 1; // Subtree size tracking
+  }
+}
+
+class AvlIndexTree {
+  constructor() {
+    this.root = null;
+  }
+
+  getHeight(n) { return n ? n.height : 0; }
+  getSize(n) { return n ? n.size : 0; }
+  
+  updateSize(n) {
+    if (n) {
+      n.size = 1 + this.getSize(n.left) + this.getSize(n.right);
+    }
+  }
+
+  getBalance(n) { return n ? this.getHeight(n.left) - this.getHeight(n.right) : 0; }
+
+  // --- Rotations (Updated with Size) ---
+  rotateRight(y) {
+    const x = y.left; const T2 = x.right;
+    x.right = y; y.left = T2;
+    
+    y.height = Math.max(this.getHeight(y.left), this.getHeight(y.right)) + 1;
+    x.height = Math.max(this.getHeight(x.left), this.getHeight(x.right)) + 1;
+    
+    this.updateSize(y);
+    this.updateSize(x);
+    
+    return x;
+  }
+
+  rotateLeft(x) {
+    const y = x.right; const T2 = y.left;
+    y.left = x; x.right = T2;
+    
+    x.height = Math.max(this.getHeight(x.left), this.getHeight(x.right)) + 1;
+    y.height = Math.max(this.getHeight(y.left), this.getHeight(y.right)) + 1;
+    
+    this.updateSize(x);
+    this.updateSize(y);
+    
+    return y;
+  }
+
+  // --- Insertion ---
+  insert(id, filePosition) {
+    this.root = this._insert(this.root, id, filePosition);
+  }
+
+  _insert(node, id, filePosition) {
+    if (!node) return new Node(id, filePosition);
+
+    if (id < node.id) node.left = this._insert(node.left, id, filePosition);
+    else if (id > node.id) node.right = this._insert(node.right, id, filePosition);
+    else { node.filePosition = filePosition; return node; } // Update existing
+
+    node.height = 1 + Math.max(this.getHeight(node.left), this.getHeight(node.right));
+    this.updateSize(node);
+
+    const balance = this.getBalance(node);
+
+    if (balance > 1 && id < node.left.id) return this.rotateRight(node);
+    if (balance < -1 && id > node.right.id) return this.rotateLeft(node);
+    if (balance > 1 && id > node.left.id) { node.left = this.rotateLeft(node.left); return this.rotateRight(node); }
+    if (balance < -1 && id < node.right.id) { node.right = this.rotateRight(node.right); return this.rotateLeft(node); }
+
+    return node;
+  }
+
+  // --- 🔥 DELETION LOGIC ---
+  delete(id) {
+    this.root = this._delete(this.root, id);
+  }
+
+  getMinValueNode(node) {
+    let current = node;
+    while (current.left !== null) {
+      current = current.left;
+    }
+    return current;
+  }
+
+  _delete(node, id) {
+    if (!node) return node;
+
+    if (id < node.id) {
+      node.left = this._delete(node.left, id);
+    } else if (id > node.id) {
+      node.right = this._delete(node.right, id);
+    } else {
+      // Node Found
+      if ((!node.left) || (!node.right)) {
+        let temp = node.left ? node.left : node.right;
+        if (!temp) {
+          temp = node;
+          node = null;
+        } else {
+          node = temp; 
+        }
+      } else {
+        const temp = this.getMinValueNode(node.right);
+        //console.log("Node")
+        //console.log(temp.id);
+        node.id = temp.id;
+        node.filePosition = temp.filePosition;
+        node.right = this._delete(node.right, temp.id);
+      }
+    }
+
+    if (!node) return node;
+
+    node.height = 1 + Math.max(this.getHeight(node.left), this.getHeight(node.right));
+    this.updateSize(node);
+
+    const balance = this.getBalance(node);
+
+    if (balance > 1 && this.getBalance(node.left) >= 0) return this.rotateRight(node);
+    if (balance > 1 && this.getBalance(node.left) < 0) { node.left = this.rotateLeft(node.left); return this.rotateRight(node); }
+    if (balance < -1 && this.getBalance(node.right) <= 0) return this.rotateLeft(node);
+    if (balance < -1 && this.getBalance(node.right) > 0) { node.right = this.rotateRight(node.right); return this.rotateLeft(node); }
+
+    return node;
+  }
+
+  findFilePosition(id) {
+    let current = this.root;
+    while (current) {
+      if (id === current.id) return current.filePosition;
+      if (id < current.id) current = current.left;
+      else current = current.right;
+    }
+    return null;
+  }
+
+  // Number of keys smaller than id (its absolute index when present)
+  rank(id) {
+    let current = this.root;
+    let r = 0;
+    while (current) {
+      if (id === current.id) return r + this.getSize(current.left);
+      if (id < current.id) {
+        current = current.left;
+      } else {
+        r += this.getSize(current.left) + 1;
+        current = current.right;
+      }
+    }
+    return r;
+  }
+
+  // O(log N) Lookup for Pagination
+  findNodeByIndex(node, index) {
+    if (!node) return null;
+    const leftSize = this.getSize(node.left);
+    if (index < leftSize) {
+      return this.findNodeByIndex(node.left, index);
+    } else if (index === leftSize) {
+      return node;
+    } else {
+      return this.findNodeByIndex(node.right, index - leftSize - 1);
+    }
+  }
+
+  getRange(offset, limit) {
+    const result = [];
+    for (let i = 0; i < limit; i++) {
+      const node = this.findNodeByIndex(this.root, offset + i);
+      if (node) {
+        result.push({ id: node.id, pos: node.filePosition });
+      } else {
+        break;
+      }
+    }
+    return result;
+  }
+
+  // In-order walk from the first key >= id (> id when exclusive; from the start when id is
+  // undefined), yielding { id, pos } like getRange()
+  *walkFrom(id, exclusive = false) {
+    const stack = [];
+    let current = this.root;
+    while (current) {
+      if (id === undefined || (exclusive ? current.id > id : current.id >= id)) {
+        stack.push(current);
+        current = current.left;
+      } else {
+        current = current.right;
+      }
+    }
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      yield { id: node.id, pos: node.filePosition };
+      current = node.right;
+      while (current) {
+        stack.push(current);
+        current = current.left;
+      }
+    }
+  }
+
+  toArray() {
+    const res = [];
+    const stack = [];
+    let cur = this.root;
+    while (cur || stack.length) {
+      while (cur) { stack.push(cur); cur = cur.left; }
+      cur = stack.pop();
+      res.push({ id: cur.id, pos: cur.filePosition });
+      cur = cur.right;
+    }
+    return res;
+  }
+
+  // Bulk load from a list sorted by id (toArray() / <name>.idx order): the middle element
+  // becomes the root, so the result is perfectly balanced and built in O(N)
+  toTree(list) {
+    this.root = this._build(list, 0, list.length - 1);
+  }
+
+  _build(list, lo, hi) {
+    if (lo > hi) return null;
+    const mid = (lo + hi) >>> 1;
+    const node = new Node(list[mid].id, list[mid].pos);
+    node.left = this._build(list, lo, mid - 1);
+    node.right = this._build(list, mid + 1, hi);
+    node.height = 1 + Math.max(this.getHeight(node.left), this.getHeight(node.right));
+    this.updateSize(node);
+    return node;
+  }
+}
+
+module.exports = { AvlIndexTree };
@@ -0,0 +1,449 @@
+// ==========================================
+// B-TREE INDEX (The New Engine) 🌳
+// ==========================================
+
+class BTreeNode {
+  constructor(t, leaf = false) {
+    this.t = t; // Minimum degree (defines range for number of keys)
+    this.leaf = leaf; // Boolean: true if leaf, false otherwise
+    this.keys = []; // Array of objects { id, pos }
+    this.children = []; // Array of BTreeNode references
+    this.size = 0; // Subtree size count (Start with keys length)
+  }
+}
+
+class BTree {
+  constructor(t = 3) { // Degree 3 means Max 5 keys per node
+    this.root = null;
+    this.t = t;
+  }
+
+  // --- TRAVERSAL (For Debugging) ---
+  traverse() {
+    if (this.root) this._traverse(this.root);
+  }
+  _traverse(node) {
+    let i;
+    for (i = 0; i < node.keys.length; i++) {
+      if (!node.leaf) this._traverse(node.children[i]);
+      // console.log(node.keys[i]); 
+    }
+    if (!node.leaf) this._traverse(node.children[i]);
+  }
+
+  // --- SEARCH ---
+  findFilePosition(id) {
+    return this.root ? this._search(this.root, id) : null;
+  }
+
+  _search(node, id) {
+    let i = 0;
+    // Find the first key greater than or equal to k
+    while (i < node.keys.length && id > node.keys[i].id) {
+      i++;
+    }
+
+    // Found the key?
+    if (i < node.keys.length && node.keys[i].id === id) {
+      return node.keys[i].pos;
+    }
+
+    // If leaf, key is not present
+    if (node.leaf) return null;
+
+    // Go to the appropriate child
+    return this._search(node.children[i], id);
+  }
+
+  // Returns the stored { id, pos } entry (not a copy) or null
+  _findKey(node, id) {
+    while (node) {
+      let i = 0;
+      while (i < node.keys.length && id > node.keys[i].id) i++;
+      if (i < node.keys.length && node.keys[i].id === id) return node.keys[i];
+      if (node.leaf) return null;
+      node = node.children[i];
+    }
+    return null;
+  }
+
+  // Number of keys smaller than id (its absolute index when present), via subtree sizes
+  rank(id) {
+    let node = this.root;
+    let r = 0;
+    while (node) {
+      let i = 0;
+      while (i < node.keys.length && node.keys[i].id < id) {
+        if (!node.leaf) r += node.children[i].size;
+        r++;
+        i++;
+      }
+      if (node.leaf) return r;
+      if (i < node.keys.length && node.keys[i].id === id) return r + node.children[i].size;
+      node = node.children[i];
+    }
+    return r;
+  }
+
+  // --- INSERTION ---
+  insert(id, pos) {
+    // Existing key -> just repoint it (new version of the record was appended)
+    const existing = this._findKey(this.root, id);
+    if (existing) {
+      existing.pos = pos;
+      return;
+    }
+
+    if (!this.root) {
+      this.root = new BTreeNode(this.t, true);
+      this.root.keys.push({ id, pos });
+      this.root.size = 1; // Update size
+    } else {
+      // If root is full, tree grows in height
+      if (this.root.keys.length === 2 * this.t - 1) {
+        const s = new BTreeNode(this.t, false);
+        s.children.push(this.root);
+        this._splitChild(s, 0);
+        
+        // Decide which of the two children is going to have new key
+        let i = 0;
+        if (s.keys[0].id < id) i++;
+        this._insertNonFull(s.children[i], id, pos);
+        
+        this.root = s;
+        this.updateNodeSize(this.root); // Update root size
+      } else {
+        this._insertNonFull(this.root, id, pos);
+        this.updateNodeSize(this.root); // Update root size
+      }
+    }
+  }
+
+  _insertNonFull(node, id, pos) {
+    let i = node.keys.length - 1;
+
+    if (node.leaf) {
+      // Find location to insert and shift keys
+      while (i >= 0 && node.keys[i].id > id) {
+        i--;
+      }
+      node.keys.splice(i + 1, 0, { id, pos });
+      // Size update happens implicitly as array grows, 
+      // but parent needs to know in recursive updates
+    } else {
+      // Find child to go down to
+      while (i >= 0 && node.keys[i].id > id) {
+        i--;
+      }
+      i++; // Child index
+
+      // Check if child is full
+      if (node.children[i].keys.length === 2 * this.t - 1) {
+        this._splitChild(node, i);
+        if (node.keys[i].id < id) i++;
+      }
+      this._insertNonFull(node.children[i], id, pos);
+    }
+    
+    // Update size after insert returns
+    this.updateNodeSize(node);
+  }
+
+  _splitChild(parent, i) {
+    const t = this.t;
+    const y = parent.children[i]; // Full child
+    const z = new BTreeNode(t, y.leaf); // New sibling
+
+    // Copy last (t-1) keys of y to z
+    z.keys = y.keys.splice(t); // Takes form index t to end
+    
+    // If not leaf, copy last t children of y to z
+    if (!y.leaf) {
+      z.children = y.children.splice(t);
+    }
+
+    // Median key moves up to parent
+    const medianKey = y.keys.pop(); // The key at index t-1 (now last)
+
+    parent.children.splice(i + 1, 0, z);
+    parent.keys.splice(i, 0, medianKey);
+
+    // Update sizes after split
+    this.updateNodeSize(y);
+    this.updateNodeSize(z);
+    this.updateNodeSize(parent);
+  }
+
+  // --- SIZE TRACKING (Optimized for B-Tree) ---
+  updateNodeSize(node) {
+    let count = node.keys.length; // Local keys count
+    if (!node.leaf) {
+      for (let child of node.children) {
+        count += child.size; // Add size of all children
+      }
+    }
+    node.size = count;
+  }
+
+  // --- PAGINATION (Seek Logic) ---
+  // Find key at absolute index (0 to N)
+  // Logic: Iterate through keys and children accumulating counts
+  findNodeByIndex(node, index) {
+    let currentIdx = 0; // Relative index in this node's scope
+
+    for (let i = 0; i < node.keys.length; i++) {
+      // 1. Check Left Child
+      if (!node.leaf) {
+        const childSize = node.children[i].size;
+        if (index < childSize) {
+          return this.findNodeByIndex(node.children[i], index);
+        }
+        index -= childSize; // Skip the child
+      }
+
+      // 2. Check Current Key
+      if (index === 0) {
+        return node.keys[i]; // Found it!
+      }
+      index--; // Skip the key itself
+    }
+
+    // 3. Check Rightmost Child
+    if (!node.leaf) {
+      return this.findNodeByIndex(node.children[node.children.length - 1], index);
+    }
+
+    return null;
+  }
+
+  getRange(offset, limit) {
+    const result = [];
+    if (!this.root) return result; // Empty tree
+    // Efficiently seek to offset and collect 'limit' items
+    // Note: Pure seeking loop is simple but for very large limits could be optimized.
+    // Since limit is small (20), calling findNodeByIndex 20 times is O(20 * log N) -> Very Fast.
+    
+    for (let i = 0; i < limit; i++) {
+      const item = this.findNodeByIndex(this.root, offset + i);
+      if (item) {
+        result.push({ id: item.id, pos: item.pos });
+      } else {
+        break; 
+      }
+    }
+    return result;
+  }
+
+  // In-order walk from the first key >= id (> id when exclusive; from the start when id is
+  // undefined), yielding { id, pos }. Cost is O(log N) to seek plus O(1) amortized per key.
+  *walkFrom(id, exclusive = false) {
+    const stack = []; // [node, index of the next key to yield]
+    let node = this.root;
+    while (node) {
+      let i = 0;
+      if (id !== undefined) {
+        while (i < node.keys.length && (exclusive ? node.keys[i].id <= id : node.keys[i].id < id)) i++;
+      }
+      stack.push([node, i]);
+      node = node.leaf ? null : node.children[i];
+    }
+
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      const [current, i] = top;
+      if (i >= current.keys.length) {
+        stack.pop();
+        continue;
+      }
+      yield { id: current.keys[i].id, pos: current.keys[i].pos };
+      top[1] = i + 1;
+      // Next come the keys of the child to the right of this one, smallest first
+      let child = current.leaf ? null : current.children[i + 1];
+      while (child) {
+        stack.push([child, 0]);
+        child = child.leaf ? null : child.children[0];
+      }
+    }
+  }
+
+  // --- SERIALIZATION ---
+  // B-Trees are harder to serialize recursively due to structure. 
+  // We flatten it to a list for saving, then rebuild.
+  toArray() {
+    const res = [];
+    if(this.root) this._collect(this.root, res);
+    return res;
+  }
+  _collect(node, res) {
+    let i;
+    for (i = 0; i < node.keys.length; i++) {
+      if (!node.leaf) this._collect(node.children[i], res);
+      res.push(node.keys[i]);
+    }
+    if (!node.leaf) this._collect(node.children[i], res);
+  }
+
+  // --- BULK LOAD ---
+  // Builds the tree bottom-up from keys already sorted by id (the order toArray() and
+  // <name>.idx store them in) in O(N), instead of N separate inserts.
+  toTree(list) {
+    this.root = null;
+    if (list.length === 0) return;
+
+    // Smallest height that fits every key: a tree of height h holds up to (2t)^h - 1 keys
+    let height = 1;
+    let capacity = 2 * this.t - 1;
+    while (capacity < list.length) {
+      height++;
+      capacity = (capacity + 1) * 2 * this.t - 1;
+    }
+    this.root = this._build(list, 0, list.length, height);
+  }
+
+  // Spreads list[lo, hi) evenly over as few children as fit, so every node stays at least half full
+  _build(list, lo, hi, height) {
+    const node = new BTreeNode(this.t, height === 1);
+    if (height === 1) {
+      for (let i = lo; i < hi; i++) node.keys.push({ id: list[i].id, pos: list[i].pos });
+    } else {
+      const n = hi - lo;
+      const childSpan = Math.pow(2 * this.t, height - 1); // Max keys in a child subtree + 1
+      const childCount = Math.ceil((n + 1) / childSpan);
+      const childKeys = n - (childCount - 1); // Keys left after taking the separators
+      let start = lo;
+      for (let c = 0; c < childCount; c++) {
+        const count = Math.floor(childKeys * (c + 1) / childCount) - Math.floor(childKeys * c / childCount);
+        node.children.push(this._build(list, start, start + count, height - 1));
+        start += count;
+        if (c < childCount - 1) {
+          node.keys.push({ id: list[start].id, pos: list[start].pos });
+          start++;
+        }
+      }
+    }
+    this.updateNodeSize(node);
+    return node;
+  }
+  
+  // --- DELETION (Merge/Borrow) ---
+  // Standard B-Tree delete: before descending we make sure the child has at least
+  // t keys (borrowing from a sibling or merging), so removal never underflows a node.
+  delete(id) {
+    if (!this.root) return;
+    this._delete(this.root, id);
+
+    // Root emptied by a merge -> tree shrinks in height
+    if (this.root.keys.length === 0) {
+      this.root = this.root.leaf ? null : this.root.children[0];
+    }
+  }
+
+  _delete(node, id) {
+    const t = this.t;
+    let i = 0;
+    while (i < node.keys.length && id > node.keys[i].id) {
+      i++;
+    }
+
+    if (i < node.keys.length && node.keys[i].id === id) {
+      if (node.leaf) {
+        // Case 1: Key in leaf, just remove it
+        node.keys.splice(i, 1);
+      } else if (node.children[i].keys.length >= t) {
+        // Case 2a: Replace with predecessor from left child
+        const pred = this._getMax(node.children[i]);
+        node.keys[i] = pred;
+        this._delete(node.children[i], pred.id);
+      } else if (node.children[i + 1].keys.length >= t) {
+        // Case 2b: Replace with successor from right child
+        const succ = this._getMin(node.children[i + 1]);
+        node.keys[i] = succ;
+        this._delete(node.children[i + 1], succ.id);
+      } else {
+        // Case 2c: Both children minimal, merge and delete from merged node
+        this._merge(node, i);
+        this._delete(node.children[i], id);
+      }
+    } else {
+      // Key not present in this subtree
+      if (node.leaf) return;
+
+      // Case 3: Make sure the child we go down to has at least t keys
+      if (node.children[i].keys.length < t) {
+        i = this._fill(node, i);
+      }
+      this._delete(node.children[i], id);
+    }
+
+    // Update size on the way back up
+    this.updateNodeSize(node);
+  }
+
+  _getMax(node) {
+    while (!node.leaf) node = node.children[node.children.length - 1];
+    return node.keys[node.keys.length - 1];
+  }
+
+  _getMin(node) {
+    while (!node.leaf) node = node.children[0];
+    return node.keys[0];
+  }
+
+  // Returns the index of the child to descend into (shifts left after a merge with left sibling)
+  _fill(node, i) {
+    const t = this.t;
+    if (i > 0 && node.children[i - 1].keys.length >= t) {
+      this._borrowFromPrev(node, i);
+    } else if (i < node.keys.length && node.children[i + 1].keys.length >= t) {
+      this._borrowFromNext(node, i);
+    } else if (i < node.keys.length) {
+      this._merge(node, i);
+    } else {
+      this._merge(node, i - 1);
+      return i - 1;
+    }
+    return i;
+  }
+
+  _borrowFromPrev(node, i) {
+    const child = node.children[i];
+    const sibling = node.children[i - 1];
+
+    // Parent key comes down, sibling's last key goes up
+    child.keys.unshift(node.keys[i - 1]);
+    if (!child.leaf) child.children.unshift(sibling.children.pop());
+    node.keys[i - 1] = sibling.keys.pop();
+
+    this.updateNodeSize(sibling);
+    this.updateNodeSize(child);
+  }
+
+  _borrowFromNext(node, i) {
+    const child = node.children[i];
+    const sibling = node.children[i + 1];
+
+    // Parent key comes down, sibling's first key goes up
+    child.keys.push(node.keys[i]);
+    if (!child.leaf) child.children.push(sibling.children.shift());
+    node.keys[i] = sibling.keys.shift();
+
+    this.updateNodeSize(sibling);
+    this.updateNodeSize(child);
+  }
+
+  // Merge children[i + 1] and the separating key into children[i]
+  _merge(node, i) {
+    const child = node.children[i];
+    const sibling = node.children[i + 1];
+
+    child.keys.push(node.keys[i], ...sibling.keys);
+    if (!child.leaf) child.children.push(...sibling.children);
+
+    node.keys.splice(i, 1);
+    node.children.splice(i + 1, 1);
+
+    this.updateNodeSize(child);
+  }
+}
+
+module.exports = { BTree };
@@ -0,0 +1,2407 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const FlakeId = require('flake-idgen');
+const biguintFormat = require('biguint-format');
+const { BTree } = require('./BTree');
+const { AvlIndexTree } = require('./AvlIndexTree');
+
+const DATA_DIR = 'data'; // One sub-directory per collection
+const COLLECTION_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+const WAL_CHECKPOINT_EVERY = 1000; // Logged index changes before the full index is rewritten
+const PAGE_SIZE = 20; // Default page size
+const MAX_PAGE_SIZE = 100; // Default upper bound for client-chosen limits
+const SEED_CHUNK = 1000; // Sample records per write while seeding
+const IMPORT_CHUNK = 1000; // Imported documents per insertMany()
+const MAX_IMPORT_ERRORS = 1000; // Row errors kept for an import's summary
+const SNAPSHOT_MANIFEST = 'snapshot.json';
+const COPY_CHUNK = 1 << 20; // Bytes per read while copying data files
+
+// ==========================================
+// 1. DATABASE ENGINE
+// ==========================================
+
+// Record frame on disk: [4-byte BE length][4-byte CRC32][JSON + '\n']
+// The high bit of the length marks a checksummed frame; older frames are [length][JSON] only.
+const FRAME_CRC_FLAG = 0x80000000;
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c;
+}
+
+function crc32(buf) {
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+function encodeFrame(record) {
+  const data = Buffer.from(JSON.stringify(record) + '\n');
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE((data.length | FRAME_CRC_FLAG) >>> 0, 0);
+  header.writeUInt32BE(crc32(data), 4);
+  return Buffer.concat([header, data]);
+}
+
+// { headerSize, size, crc } from the first bytes of a frame (crc is null for legacy frames)
+function decodeHeader(buf, offset = 0) {
+  const word = buf.readUInt32BE(offset);
+  if (word & FRAME_CRC_FLAG) {
+    return { headerSize: 8, size: (word & ~FRAME_CRC_FLAG) >>> 0, crc: buf.readUInt32BE(offset + 4) };
+  }
+  return { headerSize: 4, size: word, crc: null };
+}
+
+// Transactions bracket their frames with { _txn, _begin: true, count } and { _txn, _commit: true }
+function isTransactionMarker(record) {
+  return typeof record._txn === 'string' && record.id === undefined;
+}
+
+function corruptError(pos, reason) {
+  const err = new Error(`Corrupt record at offset ${pos}: ${reason}`);
+  err.code = 'ECORRUPT';
+  err.pos = pos;
+  return err;
+}
+
+// Reads and checks a single frame; throws ECORRUPT instead of handing garbage to JSON.parse
+function readFrameAt(fd, pos) {
+  const header = Buffer.alloc(8);
+  const got = fs.readSync(fd, header, 0, 8, pos);
+  if (got < 4) throw corruptError(pos, "truncated header");
+  const { headerSize, size, crc } = decodeHeader(header);
+  if (got < headerSize) throw corruptError(pos, "truncated header");
+  // Checked before allocating: a damaged length word could ask for gigabytes
+  if (pos + headerSize + size > fs.fstatSync(fd).size) throw corruptError(pos, "truncated frame");
+
+  const data = Buffer.alloc(size);
+  if (fs.readSync(fd, data, 0, size, pos + headerSize) < size) throw corruptError(pos, "truncated frame");
+  if (crc !== null && crc32(data) !== crc) throw corruptError(pos, "checksum mismatch");
+  try {
+    return JSON.parse(data.toString("utf8"));
+  } catch (e) {
+    throw corruptError(pos, "invalid JSON");
+  }
+}
+
+// Streams the data file frame by frame with a bounded read buffer (multi-GB safe).
+// Yields { pos, size, record } per frame, or { pos, error } for a frame that fails the
+// checks. A bad payload is skipped (its length is still usable); a truncated frame
+// ({ truncated: true }) ends the walk. `start` must be a frame boundary.
+function* readFrames(filename, start = 0, chunkSize = 1 << 20) {
+  const fd = fs.openSync(filename, 'r');
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    let buf = Buffer.alloc(chunkSize);
+    let bufStart = 0; // File offset of buf[0]
+    let bufLen = 0;
+
+    // Make bytes [start, start + length) available in buf, refilling from disk if needed
+    const fill = (start, length) => {
+      if (start >= bufStart && start + length <= bufStart + bufLen) return true;
+      if (start + length > fileSize) return false;
+      if (length > buf.length) buf = Buffer.alloc(length);
+      bufStart = start;
+      bufLen = fs.readSync(fd, buf, 0, Math.min(buf.length, fileSize - start), start);
+      return bufLen >= length;
+    };
+
+    let pos = start;
+    while (pos < fileSize) {
+      if (!fill(pos, 4) || ((buf.readUInt32BE(pos - bufStart) & FRAME_CRC_FLAG) && !fill(pos, 8))) {
+        yield { pos, error: "Truncated header", truncated: true };
+        return;
+      }
+      const { headerSize, size, crc } = decodeHeader(buf, pos - bufStart);
+      if (!fill(pos + headerSize, size)) {
+        yield { pos, error: `Truncated frame (needs ${size} bytes, ${fileSize - pos - headerSize} left)`, truncated: true };
+        return;
+      }
+      const offset = pos + headerSize - bufStart;
+      const payload = buf.subarray(offset, offset + size);
+      if (crc !== null && crc32(payload) !== crc) {
+        yield { pos, error: "Checksum mismatch" };
+      } else {
+        let record = null;
+        if (size > 0 && payload[size - 1] === 0x0a) {
+          try { record = JSON.parse(payload.toString('utf8')); } catch (e) { record = null; }
+        }
+        if (record && (typeof record.id === 'string' || isTransactionMarker(record))) {
+          yield { pos, size: headerSize + size, record };
+        } else {
+          yield { pos, error: "Invalid payload" };
+        }
+      }
+      pos += headerSize + size;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Offset of the begin marker of a transaction the frames from `start` leave uncommitted
+// (up to `end`, the first torn frame or the end of the file), or null. replayFrames()
+// would fold whatever is appended behind it into that transaction, so a cut goes there.
+function openTransactionAt(filename, start = 0, end = Infinity) {
+  let txn = null; // { pos, id, count, seen }
+  for (const frame of readFrames(filename, start)) {
+    if (frame.truncated || frame.pos >= end) break;
+    if (frame.error) {
+      txn = null; // Replay abandons a transaction at a bad frame
+      continue;
+    }
+    const record = frame.record;
+    if (txn && txn.seen === txn.count && !(record._commit === true && record._txn === txn.id)) txn = null;
+    if (isTransactionMarker(record)) {
+      txn = record._begin === true ? { pos: frame.pos, id: record._txn, count: record.count, seen: 0 } : null;
+    } else if (txn) {
+      txn.seen++;
+    }
+  }
+  return txn ? txn.pos : null;
+}
+
+// Appends bytes [from, to) of the file open as `fd` to `out` (a FileHandle), a chunk at a
+// time so other work runs in between
+async function copyRange(fd, out, from, to) {
+  const buf = Buffer.alloc(Math.min(COPY_CHUNK, Math.max(to - from, 1)));
+  for (let pos = from; pos < to;) {
+    const length = Math.min(buf.length, to - pos);
+    const bytesRead = await new Promise((resolve, reject) => {
+      fs.read(fd, buf, 0, length, pos, (err, n) => (err ? reject(err) : resolve(n)));
+    });
+    if (bytesRead === 0) throw new Error(`Data file ended at offset ${pos} while copying up to ${to}`);
+    await out.write(buf, 0, bytesRead);
+    pos += bytesRead;
+  }
+}
+
+// Milliseconds since the epoch from a number, a string of digits or a date string;
+// null when there is no such time
+function parseTime(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) : Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// <name>.idx layout (big-endian), written by saveIndex() in key order:
+//   "GIDX" | uint16 version | uint16 reserved | uint32 count
+//   count x [uint32 idLength][id utf8][uint32 posHigh][uint32 posLow]
+// Version 1 files (uint16 idLength) are still read; secondary keys are field values of
+// any length, so they outgrew it.
+const INDEX_MAGIC = 'GIDX';
+const INDEX_VERSION = 2;
+
+function encodeIndex(entries) {
+  let total = 12;
+  const ids = entries.map(e => {
+    const id = Buffer.from(e.id);
+    total += 4 + id.length + 8;
+    return id;
+  });
+
+  const buf = Buffer.alloc(total);
+  buf.write(INDEX_MAGIC, 0, 'latin1');
+  buf.writeUInt16BE(INDEX_VERSION, 4);
+  buf.writeUInt32BE(entries.length, 8);
+  let off = 12;
+  for (let i = 0; i < entries.length; i++) {
+    const pos = entries[i].pos;
+    buf.writeUInt32BE(ids[i].length, off);
+    ids[i].copy(buf, off + 4);
+    off += 4 + ids[i].length;
+    buf.writeUInt32BE(Math.floor(pos / 0x100000000), off);
+    buf.writeUInt32BE(pos % 0x100000000, off + 4);
+    off += 8;
+  }
+  return buf;
+}
+
+// Returns [{ id, pos }] in stored (sorted) order. Older JSON index files are still accepted.
+function decodeIndex(buf) {
+  if (buf.toString('latin1', 0, 4) !== INDEX_MAGIC) {
+    return JSON.parse(buf.toString('utf-8')).map(e => ({ id: e.id, pos: e.pos !== undefined ? e.pos : e.filePosition }));
+  }
+  const version = buf.readUInt16BE(4);
+  if (version !== 1 && version !== INDEX_VERSION) throw new Error(`Unsupported index version ${version}`);
+  const lengthSize = version === 1 ? 2 : 4;
+
+  const count = buf.readUInt32BE(8);
+  const list = new Array(count);
+  let off = 12;
+  for (let i = 0; i < count; i++) {
+    const idLength = lengthSize === 2 ? buf.readUInt16BE(off) : buf.readUInt32BE(off);
+    const id = buf.toString('utf8', off + lengthSize, off + lengthSize + idLength);
+    off += lengthSize + idLength;
+    list[i] = { id: id, pos: buf.readUInt32BE(off) * 0x100000000 + buf.readUInt32BE(off + 4) };
+    off += 8;
+  }
+  if (off !== buf.length) throw new Error("Index file size does not match its header");
+  return list;
+}
+
+// --- SECONDARY INDEX KEYS ---
+// Secondary trees are the same classes as the primary index, so field values become string
+// keys whose order matches value order: strings as-is (trimmed and lower-cased with
+// ignoreCase), numbers and booleans behind a control-character tag. Non-unique indexes
+// append "\u0000<position>" so records sharing a value stay distinct keys.
+function getField(record, path) {
+  let value = record;
+  for (const part of path.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function encodeIndexValue(value, ignoreCase) {
+  if (typeof value === 'string') return ignoreCase ? value.trim().toLowerCase() : value;
+  if (typeof value === 'boolean') return value ? '\u00021' : '\u00020';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    // IEEE-754 bits made sortable: flip the sign bit of positives, every bit of negatives
+    const buf = Buffer.alloc(8);
+    buf.writeDoubleBE(value === 0 ? 0 : value);
+    if (buf[0] & 0x80) for (let i = 0; i < 8; i++) buf[i] = ~buf[i] & 0xFF;
+    else buf[0] |= 0x80;
+    return '\u0001' + buf.toString('hex');
+  }
+  return null; // null, missing, objects and arrays are not indexed
+}
+
+function positionSuffix(pos) {
+  return '\u0000' + pos.toString(16).padStart(12, '0');
+}
+
+function secondaryKey(index, record, pos) {
+  const key = encodeIndexValue(getField(record, index.field), index.ignoreCase);
+  if (key === null) return null;
+  return index.unique ? key : key + positionSuffix(pos);
+}
+
+// Non-unique keys embed the position, so a record that moves needs a new key
+function rekeySecondary(index, key, pos) {
+  return index.unique ? key : key.slice(0, key.lastIndexOf('\u0000')) + positionSuffix(pos);
+}
+
+// Opaque keyset cursor: the index walked and the last key returned
+function encodeCursor(by, key) {
+  return Buffer.from(JSON.stringify({ by: by, key: key })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return parsed && typeof parsed.key === 'string' ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// --- QUERY FILTERS ---
+// { field: value } tests equality; an operator object takes $eq, $in, $prefix, $gt, $gte,
+// $lt and $lte, and $and / $or combine whole filters. Fields may be dotted paths.
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+const FIELD_OPERATORS = ['$eq', '$in', '$prefix', ...RANGE_OPERATORS];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+// Returns a message for the first malformed part of a filter, or null when it is usable
+function filterError(filter) {
+  if (!isPlainObject(filter)) return "Filter must be an object";
+  for (const [key, cond] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(cond) || cond.length === 0) return `${key} takes a non-empty array of filters`;
+      for (const sub of cond) {
+        const err = filterError(sub);
+        if (err) return err;
+      }
+    } else if (key.startsWith('$')) {
+      return `Unknown operator '${key}'`;
+    } else if (isPlainObject(cond)) {
+      if (Object.keys(cond).length === 0) return `Empty condition on '${key}'`;
+      for (const [op, operand] of Object.entries(cond)) {
+        if (!FIELD_OPERATORS.includes(op)) return `Unknown operator '${op}' on '${key}'`;
+        if (op === '$eq' && !isScalar(operand)) return `$eq on '${key}' takes a string, number, boolean or null`;
+        if (op === '$in' && !(Array.isArray(operand) && operand.every(isScalar))) return `$in on '${key}' takes an array of values`;
+        if (op === '$prefix' && typeof operand !== 'string') return `$prefix on '${key}' takes a string`;
+        if (RANGE_OPERATORS.includes(op) && typeof operand !== 'string' && typeof operand !== 'number') {
+          return `${op} on '${key}' takes a string or number`;
+        }
+      }
+    } else if (!isScalar(cond)) {
+      return `Unsupported value for '${key}'`;
+    }
+  }
+  return null;
+}
+
+function equalsValue(value, expected) {
+  // null also matches a missing field
+  if (expected === null) return value === null || value === undefined;
+  return value === expected;
+}
+
+function matchesCondition(value, cond) {
+  if (!isPlainObject(cond)) return equalsValue(value, cond);
+  for (const [op, operand] of Object.entries(cond)) {
+    if (op === '$eq' && !equalsValue(value, operand)) return false;
+    if (op === '$in' && !operand.some(expected => equalsValue(value, expected))) return false;
+    if (op === '$prefix' && !(typeof value === 'string' && value.startsWith(operand))) return false;
+    if (RANGE_OPERATORS.includes(op)) {
+      // Ranges compare like with like: a string bound never matches a number
+      if (typeof value !== typeof operand) return false;
+      if (op === '$gt' && !(value > operand)) return false;
+      if (op === '$gte' && !(value >= operand)) return false;
+      if (op === '$lt' && !(value < operand)) return false;
+      if (op === '$lte' && !(value <= operand)) return false;
+    }
+  }
+  return true;
+}
+
+function matchesFilter(record, filter) {
+  for (const [key, cond] of Object.entries(filter)) {
+    if (key === '$and') {
+      if (!cond.every(sub => matchesFilter(record, sub))) return false;
+    } else if (key === '$or') {
+      if (!cond.some(sub => matchesFilter(record, sub))) return false;
+    } else if (!matchesCondition(getField(record, key), cond)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Sort order across types: numbers, strings, booleans, then null / missing
+function compareValues(a, b) {
+  const rank = value => (typeof value === 'number' ? 0 : typeof value === 'string' ? 1 : typeof value === 'boolean' ? 2 : 3);
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (rank(a) === 3 || a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function projectRecord(record, fields) {
+  if (!fields) return record;
+  const projected = { id: record.id };
+  for (const field of fields) {
+    const value = getField(record, field);
+    if (value !== undefined) projected[field] = value;
+  }
+  return projected;
+}
+
+// --- VERSIONS ---
+// Every write of a record bumps its _version (inserts start at 1); records written before
+// versions existed count as version 1
+function versionOf(record) {
+  return Number.isInteger(record._version) ? record._version : 1;
+}
+
+// --- ID GENERATION ---
+// uuid: random v4 (the default) | uuidv7, snowflake: time-ordered, so primary-key order
+// follows insertion order | nanoid: short, URL-safe | client: the document brings its own id
+const ID_STRATEGIES = ['uuid', 'uuidv7', 'snowflake', 'nanoid', 'client'];
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9._~:@-]{1,128}$/; // Keeps ids clear of index key separators
+const flake = new FlakeId();
+let uuidv7State = { ms: 0, counter: 0 };
+
+// RFC 9562 UUIDv7: 48-bit millisecond timestamp, a 12-bit counter that keeps ids made in
+// the same millisecond (or after the clock steps back) in order, then random bits
+function uuidv7() {
+  const ms = Date.now();
+  if (ms > uuidv7State.ms) {
+    uuidv7State = { ms: ms, counter: crypto.randomInt(0, 0x800) };
+  } else if (uuidv7State.counter < 0xFFF) {
+    uuidv7State.counter++;
+  } else {
+    uuidv7State = { ms: uuidv7State.ms + 1, counter: 0 };
+  }
+  const bytes = crypto.randomBytes(16);
+  bytes.writeUIntBE(uuidv7State.ms, 0, 6);
+  bytes[6] = 0x70 | (uuidv7State.counter >> 8);
+  bytes[7] = uuidv7State.counter & 0xFF;
+  bytes[8] = 0x80 | (bytes[8] & 0x3F);
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// 64-bit flake id as 16 hex digits: fixed width, so string order is numeric order
+function snowflakeId() {
+  for (;;) {
+    try {
+      return biguintFormat(flake.next(), 'hex').padStart(16, '0');
+    } catch (err) {
+      // 4096 ids already made this millisecond: spin until the next one
+      if (!/Sequence exceeded/.test(err.message)) throw err;
+    }
+  }
+}
+
+// 21 URL-safe characters, nanoid's default shape. A byte masked to 6 bits picks evenly
+// from the 64-character alphabet.
+const NANOID_ALPHABET = 'useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict';
+
+function nanoid() {
+  const bytes = crypto.randomBytes(21);
+  let id = '';
+  for (const byte of bytes) id += NANOID_ALPHABET[byte & 63];
+  return id;
+}
+
+function generateId(strategy) {
+  if (strategy === 'uuidv7') return uuidv7();
+  if (strategy === 'snowflake') return snowflakeId();
+  if (strategy === 'nanoid') return nanoid();
+  return crypto.randomUUID(); // uuid, and records the engine makes up itself (seeding) for client
+}
+
+// --- SCHEMAS ---
+// A JSON-Schema subset: type, properties, required, additionalProperties, items, enum,
+// default, minLength, maxLength, pattern, format ('email'), minimum and maximum.
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const SCHEMA_KEYWORDS = [
+  'type', 'properties', 'required', 'additionalProperties', 'items', 'enum', 'default',
+  'minLength', 'maxLength', 'pattern', 'format', 'minimum', 'maximum'
+];
+const SYSTEM_FIELDS = ['id', 'createdAt', 'updatedAt', '_version']; // Set by the engine, so never validated
+const RESERVED_FIELDS = ['_deleted', '_txn', '_begin', '_commit']; // Frame markers, never in documents
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// A validation failure naming the reserved fields `doc` sets, or null. Replay reads these
+// off the frame, so a document carrying one would pass for a tombstone or a marker.
+function reservedFieldError(doc) {
+  const errors = RESERVED_FIELDS.filter(field => field in doc).map(field => ({ field: field, msg: "is reserved" }));
+  return errors.length > 0 ? { success: false, invalid: true, msg: "Validation failed", errors: errors } : null;
+}
+
+// Returns a message for the first problem in a schema definition, or null when it is usable
+function schemaError(schema, where = 'schema') {
+  if (!isPlainObject(schema)) return `${where} must be an object`;
+  for (const key of Object.keys(schema)) {
+    if (!SCHEMA_KEYWORDS.includes(key)) return `${where}: unknown keyword '${key}'`;
+  }
+  if (schema.type !== undefined && ![].concat(schema.type).every(type => SCHEMA_TYPES.includes(type))) {
+    return `${where}.type must be one of ${SCHEMA_TYPES.join(', ')}`;
+  }
+  if (schema.properties !== undefined) {
+    if (!isPlainObject(schema.properties)) return `${where}.properties must be an object`;
+    for (const [name, sub] of Object.entries(schema.properties)) {
+      const err = schemaError(sub, `${where}.properties.${name}`);
+      if (err) return err;
+    }
+  }
+  if (schema.items !== undefined) {
+    const err = schemaError(schema.items, `${where}.items`);
+    if (err) return err;
+  }
+  if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every(name => typeof name === 'string'))) {
+    return `${where}.required must be an array of field names`;
+  }
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    return `${where}.additionalProperties must be true or false`;
+  }
+  if (schema.enum !== undefined && !(Array.isArray(schema.enum) && schema.enum.every(isScalar))) {
+    return `${where}.enum must be an array of values`;
+  }
+  for (const key of ['minLength', 'maxLength']) {
+    if (schema[key] !== undefined && !(Number.isInteger(schema[key]) && schema[key] >= 0)) return `${where}.${key} must be a non-negative integer`;
+  }
+  for (const key of ['minimum', 'maximum']) {
+    if (schema[key] !== undefined && typeof schema[key] !== 'number') return `${where}.${key} must be a number`;
+  }
+  if (schema.pattern !== undefined) {
+    try { new RegExp(schema.pattern); } catch (e) { return `${where}.pattern is not a valid regular expression`; }
+  }
+  if (schema.format !== undefined && schema.format !== 'email') return `${where}.format must be 'email'`;
+  return null;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function fieldPath(parent, name) {
+  return parent ? `${parent}.${name}` : String(name);
+}
+
+// Checks `value` against `schema`, pushing { field, msg } for every failure. Returns the
+// value with defaults filled in for missing object properties.
+function validateValue(schema, value, field, errors) {
+  const where = field || '(document)';
+  const actual = typeOf(value);
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    const matches = types.some(type => type === actual || (type === 'integer' && Number.isInteger(value)));
+    if (!matches) {
+      errors.push({ field: where, msg: `must be of type ${types.join(' or ')}` });
+      return value;
+    }
+  }
+  if (schema.enum !== undefined && !schema.enum.includes(value)) {
+    errors.push({ field: where, msg: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ field: where, msg: `length must be at least ${schema.minLength}` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ field: where, msg: `length must be at most ${schema.maxLength}` });
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) errors.push({ field: where, msg: `must match ${schema.pattern}` });
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) errors.push({ field: where, msg: "must be a valid email address" });
+  } else if (actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ field: where, msg: `must be at least ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ field: where, msg: `must be at most ${schema.maximum}` });
+  } else if (actual === 'array' && schema.items !== undefined) {
+    return value.map((item, i) => validateValue(schema.items, item, fieldPath(field, i), errors));
+  } else if (actual === 'object') {
+    const properties = schema.properties || {};
+    const result = { ...value };
+    for (const [name, sub] of Object.entries(properties)) {
+      if (result[name] === undefined && sub.default !== undefined) result[name] = JSON.parse(JSON.stringify(sub.default));
+    }
+    for (const name of schema.required || []) {
+      if (result[name] === undefined) errors.push({ field: fieldPath(field, name), msg: "is required" });
+    }
+    for (const [name, sub] of Object.entries(properties)) {
+      if (result[name] !== undefined) result[name] = validateValue(sub, result[name], fieldPath(field, name), errors);
+    }
+    if (schema.additionalProperties === false) {
+      for (const name of Object.keys(result)) {
+        if (!(name in properties)) errors.push({ field: fieldPath(field, name), msg: "is not allowed" });
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+// Returns { record, errors }: the record with defaults applied, and every failing field.
+// System fields are left out of the check and put back around the others.
+function validateDocument(schema, record) {
+  const errors = [];
+  const fields = Object.fromEntries(Object.entries(record).filter(([key]) => !SYSTEM_FIELDS.includes(key)));
+  const checked = validateValue(schema, fields, '', errors);
+  const { id, ...system } = Object.fromEntries(Object.entries(record).filter(([key]) => SYSTEM_FIELDS.includes(key)));
+  return { record: { id: id, ...checked, ...system }, errors: errors };
+}
+
+// --- INDEX TREES ---
+// Every index (primary and secondary) is one of these, chosen per database with the
+// `index` option. Both offer insert, delete, findFilePosition, rank, getRange, walkFrom,
+// toArray and toTree over { id, pos } entries.
+const INDEX_TYPES = {
+  btree: degree => new BTree(degree),
+  avl: () => new AvlIndexTree()
+};
+
+// --- DATA FILE WRITER ---
+// The one way bytes reach a data file, so every mutation is serialized through it. append()
+// writes synchronously at the tail the writer tracks itself (never re-read from disk), so a
+// position handed to the index is exactly where the frame landed, and the frame is readable
+// before the index points at it, whatever else (seeding, compaction) is in flight.
+// fsync policy: 'always' queues durable() callers and fsyncs once for all of them at the
+// end of the event-loop turn (group commit); a number of ms fsyncs in the background at
+// that interval; 'never' leaves flushing to the OS.
+class DataWriter {
+  constructor(file, policy = 'always') {
+    if (!(policy === 'always' || policy === 'never' || (Number.isInteger(policy) && policy > 0))) {
+      throw new Error("fsync must be 'always', 'never' or an interval in milliseconds");
+    }
+    this.file = file;
+    this.policy = policy;
+    this.fd = null;
+    this.tail = 0; // Where the next frame goes
+    this.dirty = false; // Written since the last fsync
+    this.waiters = []; // durable() callers waiting for the next fsync
+    this.scheduled = false;
+    this.timer = null;
+  }
+
+  open() {
+    this.fd = fs.openSync(this.file, 'r+');
+    this.tail = fs.fstatSync(this.fd).size;
+    if (typeof this.policy === 'number') {
+      this.timer = setInterval(() => this.flush(), this.policy);
+      this.timer.unref();
+    }
+  }
+
+  // Returns the offset the bytes were written at
+  append(buf) {
+    const pos = this.tail;
+    let written = 0;
+    while (written < buf.length) written += fs.writeSync(this.fd, buf, written, buf.length - written, pos + written);
+    this.tail += buf.length;
+    this.dirty = true;
+    return pos;
+  }
+
+  // Resolves once everything appended so far is as durable as the policy makes it
+  durable() {
+    if (this.policy !== 'always') return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+      if (!this.scheduled) {
+        this.scheduled = true;
+        setImmediate(() => this.flush());
+      }
+    });
+  }
+
+  flush() {
+    this.scheduled = false;
+    const waiters = this.waiters;
+    this.waiters = [];
+    try {
+      if (this.dirty && this.fd !== null) fs.fsyncSync(this.fd);
+      this.dirty = false;
+    } catch (err) {
+      for (const waiter of waiters) waiter.reject(err);
+      return;
+    }
+    for (const waiter of waiters) waiter.resolve();
+  }
+
+  // For when the file was swapped or truncated underneath (compaction, repair)
+  reopen() {
+    this.close();
+    this.open();
+  }
+
+  close() {
+    if (this.fd === null) return;
+    this.flush();
+    clearInterval(this.timer);
+    this.timer = null;
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+// --- TRANSACTIONS ---
+// Handed to the callback of Collection.transaction(). Its methods only stage operations
+// (each returns the operation's index in the commit results): nothing is checked or
+// written until the callback resolves and the whole list commits, or fails, at once.
+class Transaction {
+  constructor() {
+    this.operations = [];
+  }
+
+  insert(doc) {
+    return this.operations.push({ op: 'insert', doc: doc }) - 1;
+  }
+
+  update(id, changes, expectedVersion = null) {
+    return this.operations.push({ op: 'update', id: id, changes: changes, expectedVersion: expectedVersion }) - 1;
+  }
+
+  replace(id, doc, expectedVersion = null) {
+    return this.operations.push({ op: 'replace', id: id, doc: doc, expectedVersion: expectedVersion }) - 1;
+  }
+
+  remove(id, expectedVersion = null) {
+    return this.operations.push({ op: 'delete', id: id, expectedVersion: expectedVersion }) - 1;
+  }
+}
+
+// One named collection: its own data file, index files and write-ahead log in its own
+// directory (<name>.jsonl, <name>.idx, <name>.idx.wal, <name>.indexes.json, <name>.<field>.idx)
+class Collection {
+  constructor(name, dir, { noun = 'Document', defaultIndexes = [], schema = null, idStrategy = 'uuid', seed = 0, fsync = 'always', index = 'btree', degree = 3, pageSize = PAGE_SIZE, maxPageSize = MAX_PAGE_SIZE, openDamaged = false, keepTornTail = false, logger = console } = {}) {
+    this.name = name;
+    this.dir = dir;
+    this.noun = noun; // For "<noun> not found" messages
+    this.defaultIndexes = defaultIndexes; // Built-in secondary indexes, which cannot be dropped
+    this.defaultSchema = schema; // Used until a schema is set through setSchema()
+    this.idStrategy = idStrategy; // One of ID_STRATEGIES
+    this.seedCount = seed; // Sample records written when the collection is first created
+    this.indexType = index; // Key of INDEX_TYPES
+    this.degree = degree; // B-tree minimum degree
+    this.pageSize = pageSize; // Default limit for page, scan and query reads
+    this.maxPageSize = maxPageSize; // Upper bound for client-chosen limits
+    this.openDamaged = openDamaged; // Open even when trimTornTail() can't safely cut
+    this.keepTornTail = keepTornTail; // trimTornTail() only notes the cut (read-only use)
+    this.logger = logger; // Progress and warnings: anything with log() and warn()
+    this.dbFile = this.file('.jsonl');
+    this.idxFile = this.file('.idx');
+    this.walFile = this.file('.idx.wal');
+    this.indexesFile = this.file('.indexes.json');
+    this.schemaFile = this.file('.schema.json');
+    this.settingsFile = this.file('.settings.json');
+    this.writer = new DataWriter(this.dbFile, fsync);
+    this.indexTree = this.newTree();
+    this.indexes = new Map(); // field -> { field, unique, ignoreCase, tree }
+    this.walEntries = 0; // Index changes logged since the last checkpoint
+    this.walEnd = null; // Data file size the log was last known to cover
+    this.keptTail = null; // Where a tail trimTornTail() left in place starts
+    this.schema = null;
+    this.restoring = false; // Set by GigaDb.restore() while it replaces this collection's files
+  }
+
+  file(suffix) {
+    return path.join(this.dir, this.name + suffix);
+  }
+
+  secondaryIndexFile(field) {
+    return this.file(`.${field}.idx`);
+  }
+
+  newTree() {
+    return INDEX_TYPES[this.indexType](this.degree);
+  }
+
+  // Resolves once the index is loaded or rebuilt and any seeding is done
+  async init() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.loadSettings();
+    this.loadSchema();
+    this.loadIndexDefinitions();
+    const created = !fs.existsSync(this.dbFile);
+    if (created) fs.writeFileSync(this.dbFile, '');
+    this.writer.open();
+    if (created) {
+      this.clearWal();
+      this.logger.log(`📁 ${this.name}: data file created`);
+      if (this.seedCount > 0) await this.seed(this.seedCount);
+      else this.checkpoint();
+    } else if (fs.existsSync(this.idxFile) && this.loadIndex()) {
+      this.replayWal();
+      this.trimTornTail(this.walEnd !== null ? this.walEnd : 0);
+      const missing = [...this.indexes.values()].filter(index => !index.tree);
+      if (missing.length > 0) {
+        this.logger.log(`🛠️ Rebuilding ${missing.map(index => index.field).join(', ')} index...`);
+        this.buildSecondaryIndexes(missing);
+        this.checkpoint();
+      }
+      if (this.walEnd !== null && this.writer.tail > this.walEnd) this.recoverTail(this.walEnd);
+    } else {
+      // The data file is the source of truth; any leftover log is superseded
+      this.logger.log("🛠️ Rebuilding index...");
+      this.trimTornTail(0);
+      this.rebuildIndex();
+      this.checkpoint();
+    }
+  }
+
+  // A crash mid-append can leave a partial frame, or a transaction without its commit
+  // marker, at the end of the data file. Both are cut off (the transaction from its begin
+  // marker) before anything else is appended: a scan can't find its way past the one, and
+  // replay would take later writes for part of the other. Only the frames from `start` on
+  // are checked (the log vouches for the rest). With other damage ahead of the cut it
+  // could take good records with it, so opening fails (unless openDamaged) and
+  // verify({ repair: true }) is the way out.
+  // With keepTornTail nothing is cut: the cut is only noted in keptTail, and the log
+  // stops short of it so the next open that may write still finds it.
+  trimTornTail(start) {
+    this.keptTail = null;
+    let damagedAt = null;
+    let tornAt = null;
+    for (const frame of readFrames(this.dbFile, start)) {
+      if (frame.truncated) tornAt = frame.pos;
+      else if (frame.error && damagedAt === null) damagedAt = frame.pos;
+    }
+    const txnAt = openTransactionAt(this.dbFile, start);
+    const cut = txnAt !== null ? txnAt : tornAt;
+    if (cut === null) return;
+    const what = txnAt !== null ? 'an uncommitted transaction' : 'a torn frame';
+    if (damagedAt !== null && damagedAt < cut) {
+      const msg = `${this.name}: data file damaged at offset ${damagedAt}, ahead of ${what} at ${cut}; run verify with repair`;
+      if (!this.openDamaged && !this.keepTornTail) throw new Error(msg);
+      this.logger.warn(`⚠️ ${msg}`);
+      this.keptTail = damagedAt;
+      return;
+    }
+    if (this.keepTornTail) {
+      this.logger.warn(`⚠️ ${this.name}: leaving ${what} at offset ${cut} in place`);
+      this.keptTail = cut;
+      return;
+    }
+    this.logger.warn(`✂️ ${this.name}: cutting ${what} (${this.writer.tail - cut} bytes) off the data file at offset ${cut}`);
+    fs.truncateSync(this.dbFile, cut);
+    this.writer.reopen();
+  }
+
+  // A chunk at a time through the writer, yielding in between: reads served meanwhile see
+  // a consistent (if growing) collection and other writes land between chunks. Numbering
+  // carries on from the current document count; a sample whose unique values are already
+  // taken is skipped. Resolves with the number written.
+  async seed(count) {
+    const start = process.hrtime.bigint();
+    const offset = this.indexTree.root ? this.indexTree.root.size : 0;
+    let written = 0;
+    for (let first = offset; first < offset + count; first += SEED_CHUNK) {
+      const users = [];
+      for (let i = first; i < Math.min(first + SEED_CHUNK, offset + count); i++) {
+        const now = Date.now();
+        const user = {
+          id: generateId(this.idStrategy),
+          name: `User${i}`,
+          email: `user${i}@gmail.com`,
+          createdAt: now,
+          updatedAt: now,
+          _version: 1
+        };
+        if (!this.uniqueConflict(user)) users.push(user);
+      }
+      if (users.length === 0) continue;
+      written += users.length;
+      const bufs = users.map(user => encodeFrame(user));
+      let currentPos = this.writer.append(Buffer.concat(bufs));
+      users.forEach((user, i) => {
+        this.indexTree.insert(user.id, currentPos);
+        this.updateSecondaryIndexes(null, null, user, currentPos);
+        currentPos += bufs[i].length;
+      });
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    this.logger.log(`Seeding time: ${(Number(process.hrtime.bigint() - start) / 1e6).toFixed(3)}ms`);
+    this.checkpoint(); 
+    return written;
+  }
+
+  rebuildIndex() {
+    this.indexTree = this.newTree();
+    this.replayFrames(0);
+    this.buildSecondaryIndexes([...this.indexes.values()]);
+  }
+
+  // Applies the frames from `start` on to the primary index; later frames win (newer
+  // versions repoint, tombstones remove). With secondary = true the secondary indexes
+  // follow along and the WAL entries are returned. A transaction's frames only count once
+  // its commit marker turns up right behind them; otherwise the whole group is skipped.
+  replayFrames(start, secondary = false) {
+    const changes = [];
+    const apply = frame => {
+      const record = frame.record;
+      const oldPos = this.indexTree.findFilePosition(record.id);
+      let oldRecord = null;
+      if (secondary && oldPos !== null && oldPos !== undefined) {
+        try { oldRecord = this.readRecordAt(oldPos); } catch (e) { /* corrupt: its entries stay */ }
+      }
+      if (record._deleted === true) {
+        this.indexTree.delete(record.id);
+        changes.push({ op: 'del', id: record.id });
+        if (secondary) changes.push(...this.updateSecondaryIndexes(oldRecord, oldPos, null, null));
+      } else {
+        this.indexTree.insert(record.id, frame.pos);
+        changes.push({ op: 'put', id: record.id, pos: frame.pos });
+        if (secondary) changes.push(...this.updateSecondaryIndexes(oldRecord, oldPos, record, frame.pos));
+      }
+    };
+
+    let txn = null; // { id, count, frames } between a begin marker and its commit
+    const abandon = () => {
+      this.logger.warn(`⚠️ Ignoring transaction ${txn.id}: no commit marker`);
+      txn = null;
+    };
+    for (const frame of readFrames(this.dbFile, start)) {
+      if (frame.error) {
+        this.logger.warn(`⚠️ Skipping frame at offset ${frame.pos}: ${frame.error}`);
+        if (txn) abandon();
+        continue;
+      }
+      const record = frame.record;
+      if (txn && txn.frames.length === txn.count) {
+        if (record._commit === true && record._txn === txn.id) {
+          txn.frames.forEach(apply);
+          txn = null;
+          continue;
+        }
+        abandon();
+      }
+      if (isTransactionMarker(record)) {
+        if (txn) abandon();
+        if (record._begin === true) txn = { id: record._txn, count: record.count, frames: [] };
+      } else if (txn) {
+        txn.frames.push(frame);
+      } else {
+        apply(frame);
+      }
+    }
+    if (txn) abandon();
+    return changes;
+  }
+
+  // Frames past the last `end` in the log were appended by a write that crashed before
+  // logging its index changes: redo them, then fold everything into a checkpoint
+  recoverTail(start) {
+    const changes = this.replayFrames(start, true);
+    this.logger.log(`🩹 ${this.name}: redid ${changes.length} index changes from the end of the data file`);
+    this.checkpoint();
+  }
+
+  // Second pass over the data file: only the version the primary index points at is live.
+  // Returns { field: value } for the first clash found in each unique index (last one wins).
+  buildSecondaryIndexes(indexes) {
+    const duplicates = {};
+    for (const index of indexes) index.tree = this.newTree();
+    if (indexes.length === 0) return duplicates;
+
+    for (const frame of readFrames(this.dbFile)) {
+      if (frame.error || frame.record._deleted === true) continue;
+      if (this.indexTree.findFilePosition(frame.record.id) !== frame.pos) continue;
+      for (const index of indexes) {
+        const key = secondaryKey(index, frame.record, frame.pos);
+        if (key === null) continue;
+        if (index.unique && !(index.field in duplicates) && index.tree.findFilePosition(key) !== null) {
+          duplicates[index.field] = getField(frame.record, index.field);
+        }
+        index.tree.insert(key, frame.pos);
+      }
+    }
+    return duplicates;
+  }
+
+  // Returns false when <name>.idx is unreadable, so init() falls back to rebuildIndex().
+  // An unreadable secondary index is left without a tree for init() to rebuild.
+  loadIndex() {
+    this.logger.log("⚡ Loading index from disk...");
+    const start = process.hrtime.bigint();
+    try {
+      this.indexTree.toTree(decodeIndex(fs.readFileSync(this.idxFile)));
+    } catch (err) {
+      this.logger.warn(`⚠️ Could not load index: ${err.message}`);
+      return false;
+    } finally {
+      this.logger.log(`Index load time: ${(Number(process.hrtime.bigint() - start) / 1e6).toFixed(3)}ms`);
+    }
+
+    for (const index of this.indexes.values()) {
+      try {
+        index.tree = this.newTree();
+        index.tree.toTree(decodeIndex(fs.readFileSync(this.secondaryIndexFile(index.field))));
+      } catch (err) {
+        this.logger.warn(`⚠️ Could not load ${index.field} index: ${err.message}`);
+        index.tree = null;
+      }
+    }
+    return true;
+  }
+
+  saveIndex() {
+    this.logger.log("💾 Saving index");
+    // Write-then-rename so a crash mid-write never leaves a half-written index
+    const files = [[this.idxFile, this.indexTree]];
+    for (const index of this.indexes.values()) files.push([this.secondaryIndexFile(index.field), index.tree]);
+    for (const [file, tree] of files) {
+      fs.writeFileSync(file + '.tmp', encodeIndex(tree.toArray()));
+      fs.renameSync(file + '.tmp', file);
+    }
+  }
+
+  // Called before positions move (compaction, tail repair): with no index files on disk a
+  // crash falls back to rebuildIndex() instead of loading entries into the old layout
+  dropIndexFiles() {
+    const files = [this.idxFile, ...[...this.indexes.keys()].map(field => this.secondaryIndexFile(field))];
+    for (const file of files) {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+    this.clearWal();
+  }
+
+  // --- SECONDARY INDEXES ---
+  // Declared in <name>.indexes.json (built-in ones, like the users email index, always are).
+  // Each one is a tree of the same class as the primary index, keyed by secondaryKey() and
+  // pointing at record positions.
+  loadIndexDefinitions() {
+    let defs = this.defaultIndexes;
+    if (fs.existsSync(this.indexesFile)) defs = JSON.parse(fs.readFileSync(this.indexesFile, 'utf-8'));
+    this.indexes = new Map();
+    for (const def of defs) this.indexes.set(def.field, { ...def, tree: this.newTree() });
+  }
+
+  saveIndexDefinitions() {
+    const defs = [...this.indexes.values()].map(({ field, unique, ignoreCase }) => ({ field, unique, ignoreCase }));
+    fs.writeFileSync(this.indexesFile + '.tmp', JSON.stringify(defs, null, 2));
+    fs.renameSync(this.indexesFile + '.tmp', this.indexesFile);
+  }
+
+  createIndex(field, { unique = false, ignoreCase = false } = {}) {
+    const start = process.hrtime.bigint();
+    if (typeof field !== 'string' || !/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/.test(field) || field === 'id') {
+      return { success: false, msg: "Invalid field name" };
+    }
+    if (this.indexes.has(field)) return { success: false, conflict: true, msg: `Index on '${field}' already exists` };
+
+    const index = { field, unique: !!unique, ignoreCase: !!ignoreCase, tree: null };
+    const duplicates = this.buildSecondaryIndexes([index]);
+    if (field in duplicates) {
+      return { success: false, conflict: true, msg: `Duplicate value ${JSON.stringify(duplicates[field])} for unique index '${field}'` };
+    }
+
+    this.indexes.set(field, index);
+    this.saveIndexDefinitions();
+    this.checkpoint();
+
+    const end = process.hrtime.bigint();
+    return { success: true, index: this.describeIndex(index), time_ms: Number(end - start) / 1e6 };
+  }
+
+  dropIndex(field) {
+    if (this.defaultIndexes.some(def => def.field === field)) return { success: false, conflict: true, msg: `The ${field} index is built in` };
+    if (!this.indexes.has(field)) return { success: false, msg: `No index on '${field}'` };
+
+    this.indexes.delete(field);
+    this.saveIndexDefinitions();
+    const file = this.secondaryIndexFile(field);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+    return { success: true, msg: `Index on '${field}' dropped` };
+  }
+
+  listIndexes() {
+    return [...this.indexes.values()].map(index => this.describeIndex(index));
+  }
+
+  describeIndex(index) {
+    return {
+      field: index.field,
+      unique: index.unique,
+      ignoreCase: index.ignoreCase,
+      entries: index.tree && index.tree.root ? index.tree.root.size : 0
+    };
+  }
+
+  // --- SETTINGS ---
+  // <name>.settings.json: collection options that are not schema or indexes (the id strategy)
+  loadSettings() {
+    if (!fs.existsSync(this.settingsFile)) return;
+    const settings = JSON.parse(fs.readFileSync(this.settingsFile, 'utf-8'));
+    if (settings.idStrategy) this.idStrategy = settings.idStrategy;
+  }
+
+  saveSettings() {
+    fs.writeFileSync(this.settingsFile + '.tmp', JSON.stringify({ idStrategy: this.idStrategy }, null, 2));
+    fs.renameSync(this.settingsFile + '.tmp', this.settingsFile);
+  }
+
+  // Only ids made from now on follow the new strategy; existing ones keep theirs
+  setIdStrategy(strategy) {
+    if (!ID_STRATEGIES.includes(strategy)) return { success: false, msg: `idStrategy must be one of ${ID_STRATEGIES.join(', ')}` };
+    this.idStrategy = strategy;
+    this.saveSettings();
+    return { success: true, idStrategy: strategy };
+  }
+
+  // --- SCHEMA ---
+  // Optional, checked on every insert and update (existing records are left alone).
+  // Stored in <name>.schema.json; a null there means the collection has no schema.
+  loadSchema() {
+    this.schema = this.defaultSchema;
+    if (fs.existsSync(this.schemaFile)) this.schema = JSON.parse(fs.readFileSync(this.schemaFile, 'utf-8'));
+  }
+
+  setSchema(schema) {
+    const error = schema === null ? null : schemaError(schema);
+    if (error) return { success: false, msg: error };
+    fs.writeFileSync(this.schemaFile + '.tmp', JSON.stringify(schema, null, 2));
+    fs.renameSync(this.schemaFile + '.tmp', this.schemaFile);
+    this.schema = schema;
+    return { success: true, schema: schema };
+  }
+
+  // Error message for the first unique index whose value is held by another live record,
+  // or was claimed earlier in the same batch (batch.keys: "<field>\u0000<key>" -> id) by
+  // another record. In a transaction, batch.staged (id -> staged version, null once
+  // deleted) says who still holds a value: one the transaction deleted or moved off is free.
+  uniqueConflict(record, batch = null) {
+    const holds = (id, index, key) => {
+      if (id === record.id) return false;
+      if (!batch || !batch.staged || !batch.staged.has(id)) return true;
+      const version = batch.staged.get(id);
+      return version !== null && encodeIndexValue(getField(version, index.field), index.ignoreCase) === key;
+    };
+    for (const index of this.indexes.values()) {
+      if (!index.unique) continue;
+      const value = getField(record, index.field);
+      const key = encodeIndexValue(value, index.ignoreCase);
+      if (key === null) continue;
+      const owner = this.findByIndex(index.field, value, 1).data[0];
+      const claimant = batch ? batch.keys.get(`${index.field}\u0000${key}`) : undefined;
+      if ((owner && holds(owner.id, index, key)) || (claimant !== undefined && holds(claimant, index, key))) {
+        return `${index.field.charAt(0).toUpperCase()}${index.field.slice(1)} already in use`;
+      }
+    }
+    return null;
+  }
+
+  // Moves a record's secondary entries from oldPos to newPos (either side may be null)
+  // and returns the matching WAL entries. Only entries that still point at oldPos are
+  // removed, so a stale record never evicts the current owner of a unique value.
+  updateSecondaryIndexes(oldRecord, oldPos, newRecord, newPos) {
+    const changes = [];
+    for (const index of this.indexes.values()) {
+      const oldKey = oldRecord ? secondaryKey(index, oldRecord, oldPos) : null;
+      if (oldKey !== null && index.tree.findFilePosition(oldKey) === oldPos) {
+        index.tree.delete(oldKey);
+        changes.push({ op: 'del', idx: index.field, id: oldKey });
+      }
+      const newKey = newRecord ? secondaryKey(index, newRecord, newPos) : null;
+      if (newKey !== null) {
+        index.tree.insert(newKey, newPos);
+        changes.push({ op: 'put', idx: index.field, id: newKey, pos: newPos });
+      }
+    }
+    return changes;
+  }
+
+  // --- WRITE-AHEAD LOG (index changes) ---
+  // Each write appends a few small lines instead of rewriting the index files; the log is
+  // folded into them every WAL_CHECKPOINT_EVERY entries and replayed on init().
+  // Entries are { op: 'put' | 'del', id, pos }, with idx: <field> for a secondary index.
+  // Every batch ends with { op: 'end', pos: <data file size> }: frames past the last one
+  // were never logged, and init() redoes them from the data file.
+  logIndexChanges(entries) {
+    const end = { op: 'end', pos: this.writer.tail };
+    fs.appendFileSync(this.walFile, [...entries, end].map(entry => JSON.stringify(entry) + '\n').join(''));
+    this.walEntries += entries.length;
+    if (this.walEntries >= WAL_CHECKPOINT_EVERY) this.checkpoint();
+  }
+
+  // Replaying is idempotent, so a crash between saveIndex() and clearWal() is harmless
+  checkpoint() {
+    this.saveIndex();
+    this.clearWal();
+  }
+
+  // Starts the log over at the current end of the data file. A log without any end entry
+  // (written before they existed) is trusted to cover the whole file.
+  clearWal() {
+    const end = this.keptTail !== null ? this.keptTail : this.writer.tail;
+    fs.writeFileSync(this.walFile, JSON.stringify({ op: 'end', pos: end }) + '\n');
+    this.walEntries = 0;
+  }
+
+  replayWal() {
+    this.walEnd = null;
+    if (!fs.existsSync(this.walFile)) return;
+    const lines = fs.readFileSync(this.walFile, 'utf-8').split('\n');
+    for (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try { entry = JSON.parse(line); } catch (e) { break; } // Torn last line from a crash
+      if (entry.op === 'end') {
+        this.walEnd = entry.pos;
+        continue;
+      }
+      this.walEntries++;
+      const index = entry.idx ? this.indexes.get(entry.idx) : null;
+      const tree = entry.idx ? index && index.tree : this.indexTree;
+      if (!tree) continue; // Dropped index, or one init() rebuilds from the data file
+      if (entry.op === 'del') tree.delete(entry.id);
+      else tree.insert(entry.id, entry.pos);
+    }
+    if (this.walEntries > 0) this.logger.log(`📜 Replayed ${this.walEntries} index changes from log`);
+  }
+
+  readRecordAt(pos) {
+    const fd = fs.openSync(this.dbFile, "r");
+    try {
+      return readFrameAt(fd, pos);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  findById(id) {
+    const start = process.hrtime.bigint();
+    const position = this.indexTree.findFilePosition(id);
+    if (position === null || position === undefined) {
+      const end = process.hrtime.bigint();
+      return { data: null, time_ms: Number(end - start) / 1e6 };
+    }
+    const fd = fs.openSync(this.dbFile, "r");
+    let data;
+    try {
+      data = readFrameAt(fd, position);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const end = process.hrtime.bigint();
+    return { data: data, time_ms: Number(end - start) / 1e6 };
+  }
+
+  // Live records whose `field` equals `value` (file position order for non-unique indexes)
+  findByIndex(field, value, limit = 100) {
+    const start = process.hrtime.bigint();
+    const index = this.indexes.get(field);
+    if (!index) return { success: false, msg: `No index on '${field}'`, data: [] };
+
+    const key = encodeIndexValue(value, index.ignoreCase);
+    let positions = [];
+    if (key !== null && index.unique) {
+      const pos = index.tree.findFilePosition(key);
+      if (pos !== null && pos !== undefined) positions.push(pos);
+    } else if (key !== null) {
+      // Every entry for the value shares the "<key>\u0000" prefix, so they sit side by side
+      const from = index.tree.rank(key + '\u0000');
+      const to = index.tree.rank(key + '\u0001');
+      positions = index.tree.getRange(from, Math.min(to - from, limit)).map(entry => entry.pos);
+    }
+
+    const data = [];
+    if (positions.length > 0) {
+      const fd = fs.openSync(this.dbFile, "r");
+      try {
+        for (const pos of positions) {
+          const record = readFrameAt(fd, pos);
+          // An entry left pointing at an older version counts as a miss
+          if (this.indexTree.findFilePosition(record.id) === pos) data.push(record);
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+    const end = process.hrtime.bigint();
+    return { success: true, data: data, time_ms: Number(end - start) / 1e6 };
+  }
+
+  findByEmail(email) {
+    const result = this.findByIndex('email', email, 1);
+    return { data: result.data[0] || null, time_ms: result.time_ms };
+  }
+
+  findByPage(pageNumber) {
+    const start = process.hrtime.bigint();
+    pageNumber = parseInt(pageNumber) || 1;
+    const limit = this.pageSize;
+    const offset = (pageNumber - 1) * limit;
+    
+    const nodeDataList = this.indexTree.getRange(offset, limit);
+
+    if (nodeDataList.length === 0) return { docs: [], time_ms: 0 };
+
+    const fd = fs.openSync(this.dbFile, 'r');
+    const docs = [];
+
+    try {
+      for (const node of nodeDataList) {
+        docs.push(readFrameAt(fd, node.pos));
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    const end = process.hrtime.bigint();
+    return { docs: docs, time_ms: Number(end - start) / 1e6 }
+  }
+
+  // Keyset pagination: in-order walk of the primary index (or of a secondary one with `by`)
+  // starting after a cursor/id or at `from`, up to `to` (inclusive). Unlike offset pages,
+  // a page does not shift when records are inserted before it.
+  scan({ by = null, cursor = null, after = null, from, to, limit } = {}) {
+    const start = process.hrtime.bigint();
+    limit = Math.max(1, Math.min(parseInt(limit) || this.pageSize, this.maxPageSize));
+
+    let startKey;
+    let exclusive = false;
+    if (cursor !== null) {
+      const parsed = decodeCursor(cursor);
+      if (!parsed) return { success: false, msg: "Invalid cursor" };
+      by = parsed.by;
+      startKey = parsed.key;
+      exclusive = true;
+    } else if (after !== null) {
+      if (by) return { success: false, msg: "'after' takes an id; use the cursor to page an index" };
+      startKey = String(after);
+      exclusive = true;
+    }
+
+    let tree = this.indexTree;
+    let index = null;
+    if (by) {
+      index = this.indexes.get(by);
+      if (!index) return { success: false, msg: `No index on '${by}'` };
+      tree = index.tree;
+    }
+    // Secondary keys are encoded; the "\u0001" bump makes `to` cover every key for that value
+    const lower = from === undefined ? undefined : index ? encodeIndexValue(from, index.ignoreCase) : String(from);
+    let upper = to === undefined ? undefined : index ? encodeIndexValue(to, index.ignoreCase) : String(to);
+    if (lower === null || upper === null) return { success: false, msg: "Range values must be strings, numbers or booleans" };
+    if (index && upper !== undefined) upper += '\u0001';
+    if (lower !== undefined && (startKey === undefined || lower > startKey)) {
+      startKey = lower;
+      exclusive = false;
+    }
+    const inRange = key => upper === undefined || (index ? key < upper : key <= upper);
+
+    const docs = [];
+    let lastKey = null;
+    let hasMore = false;
+    const fd = fs.openSync(this.dbFile, 'r');
+    try {
+      for (const entry of tree.walkFrom(startKey, exclusive)) {
+        if (!inRange(entry.id)) break;
+        if (docs.length === limit) {
+          hasMore = true;
+          break;
+        }
+        const record = readFrameAt(fd, entry.pos);
+        // Secondary entries left on an older version are skipped
+        if (index && this.indexTree.findFilePosition(record.id) !== entry.pos) continue;
+        docs.push(record);
+        lastKey = entry.id;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const end = process.hrtime.bigint();
+    return {
+      success: true,
+      docs: docs,
+      next_cursor: hasMore ? encodeCursor(by || null, lastKey) : null,
+      time_ms: Number(end - start) / 1e6
+    };
+  }
+
+  // Every live record in id order, a page (array) at a time. Each page is read in one go,
+  // so a consumer may await between pages while writes and compaction carry on.
+  *pages(limit = this.maxPageSize) {
+    let after = null;
+    for (;;) {
+      const page = this.scan({ after: after, limit: limit });
+      if (page.docs.length > 0) yield page.docs;
+      if (!page.next_cursor) return;
+      after = page.docs[page.docs.length - 1].id;
+    }
+  }
+
+  // Picks how to find candidates for a filter: equality (or $in) on id or an indexed field
+  // beats a range/prefix walk, which beats a full scan. Only top-level conditions (and
+  // members of a top-level $and) can drive an index; every candidate is re-checked.
+  planQuery(filter) {
+    let best = { cost: 4, plan: { type: 'scan' } };
+    const consider = f => {
+      for (const [key, cond] of Object.entries(f)) {
+        if (key === '$and') cond.forEach(consider);
+        if (key.startsWith('$')) continue;
+        const choice = this.planField(key, cond);
+        // Ties go to the primary index, then to the first condition listed
+        if (choice && (choice.cost < best.cost || (choice.cost === best.cost && !choice.index && best.index))) best = choice;
+      }
+    };
+    consider(filter);
+    return best;
+  }
+
+  // The keys or key range one condition needs on id or a secondary index, or null if none
+  planField(field, cond) {
+    const index = field === 'id' ? null : this.indexes.get(field);
+    if (field !== 'id' && !index) return null;
+    const encode = value => (index ? encodeIndexValue(value, index.ignoreCase) : typeof value === 'string' ? value : null);
+    const plan = index ? { type: 'index', index: field } : { type: 'primary' };
+    const ops = isPlainObject(cond) ? cond : { $eq: cond };
+
+    if ('$eq' in ops || '$in' in ops) {
+      const values = '$eq' in ops ? [ops.$eq] : ops.$in;
+      const keys = [...new Set(values.map(encode))];
+      // null is never indexed, so "missing or null" needs a scan
+      if (keys.includes(null)) return null;
+      plan.op = '$eq' in ops ? 'eq' : 'in';
+      return { cost: keys.length <= 1 ? 1 : 2, plan: plan, index: index, keys: keys };
+    }
+
+    // Bounds only narrow the walk. Case-folded keys do not keep case-sensitive string order,
+    // so string bounds on an ignoreCase index are left open.
+    const encodeBound = value => (index && index.ignoreCase && typeof value === 'string' ? null : encode(value));
+    let lower;
+    let upper; // Exclusive; the "\u0001" bump keeps every key stored for the bound value
+    for (const op of ['$gt', '$gte']) {
+      const key = op in ops ? encodeBound(ops[op]) : null;
+      if (key !== null && (lower === undefined || key > lower)) lower = key;
+    }
+    for (const op of ['$lt', '$lte']) {
+      const key = op in ops ? encodeBound(ops[op]) : null;
+      if (key !== null && (upper === undefined || key + '\u0001' < upper)) upper = key + '\u0001';
+    }
+    // Encoded numbers all sit between "\u0001" and "\u0002"
+    if (index && RANGE_OPERATORS.some(op => typeof ops[op] === 'number')) {
+      if (lower === undefined || lower < '\u0001') lower = '\u0001';
+      if (upper === undefined || upper > '\u0002') upper = '\u0002';
+    }
+    let prefix;
+    if ('$prefix' in ops && !(index && index.ignoreCase && ops.$prefix !== ops.$prefix.trim())) {
+      prefix = index && index.ignoreCase ? ops.$prefix.toLowerCase() : ops.$prefix;
+      if (lower === undefined || prefix > lower) lower = prefix;
+    }
+    if (lower === undefined && upper === undefined) return null;
+    plan.op = prefix !== undefined ? 'prefix' : 'range';
+    return { cost: 3, plan: plan, index: index, lower: lower, upper: upper, prefix: prefix };
+  }
+
+  // Yields the file positions a plan has to look at: a superset of the matches
+  *planPositions(choice) {
+    const tree = choice.index ? choice.index.tree : this.indexTree;
+    if (choice.keys) {
+      for (const key of choice.keys) {
+        if (!choice.index || choice.index.unique) {
+          const pos = tree.findFilePosition(key);
+          if (pos !== null && pos !== undefined) yield pos;
+          continue;
+        }
+        for (const entry of tree.walkFrom(key + '\u0000')) {
+          if (entry.id >= key + '\u0001') break;
+          yield entry.pos;
+        }
+      }
+      return;
+    }
+    for (const entry of tree.walkFrom(choice.lower)) {
+      if (choice.upper !== undefined && entry.id >= choice.upper) break;
+      if (choice.prefix !== undefined && !entry.id.startsWith(choice.prefix)) break;
+      yield entry.pos;
+    }
+  }
+
+  // Yields { pos, record } for every candidate, live or not
+  *planRecords(choice) {
+    if (choice.plan.type === 'scan') {
+      for (const frame of readFrames(this.dbFile)) {
+        // A torn tail is left to verify --repair. Other bad frames are logged and skipped,
+        // as a rebuild does, so one damaged record doesn't fail every scan.
+        if (frame.truncated) break;
+        if (frame.error) {
+          this.logger.warn(`⚠️ Skipping frame at offset ${frame.pos}: ${frame.error}`);
+          continue;
+        }
+        yield frame;
+      }
+      return;
+    }
+    const fd = fs.openSync(this.dbFile, 'r');
+    try {
+      for (const pos of this.planPositions(choice)) yield { pos: pos, record: readFrameAt(fd, pos) };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  query({ filter = {}, sort = null, fields = null, limit } = {}) {
+    const start = process.hrtime.bigint();
+    const error = filterError(filter);
+    if (error) return { success: false, msg: error };
+    if (sort !== null && !(isPlainObject(sort) && Object.values(sort).every(dir => dir === 1 || dir === -1))) {
+      return { success: false, msg: "sort maps field names to 1 (ascending) or -1 (descending)" };
+    }
+    if (fields !== null && !(Array.isArray(fields) && fields.every(field => typeof field === 'string'))) {
+      return { success: false, msg: "fields must be an array of field names" };
+    }
+    limit = Math.max(1, Math.min(parseInt(limit) || this.pageSize, this.maxPageSize));
+
+    const choice = this.planQuery(filter);
+    const sortKeys = sort ? Object.entries(sort) : [];
+    const compare = (a, b) => {
+      for (const [field, dir] of sortKeys) {
+        const order = compareValues(getField(a, field), getField(b, field));
+        if (order !== 0) return order * dir;
+      }
+      return 0;
+    };
+
+    let docs = [];
+    let examined = 0;
+    for (const { pos, record } of this.planRecords(choice)) {
+      examined++;
+      // Tombstones and superseded versions are never what the primary index points at
+      if (this.indexTree.findFilePosition(record.id) !== pos) continue;
+      if (!matchesFilter(record, filter)) continue;
+      docs.push(record);
+      if (sortKeys.length === 0) {
+        if (docs.length === limit) break;
+      } else if (docs.length >= limit * 4) {
+        // Sorted queries keep a bounded top-k rather than every match
+        docs = docs.sort(compare).slice(0, limit);
+      }
+    }
+    if (sortKeys.length > 0) docs = docs.sort(compare).slice(0, limit);
+
+    const end = process.hrtime.bigint();
+    return {
+      success: true,
+      docs: docs.map(record => projectRecord(record, fields)),
+      plan: { ...choice.plan, examined: examined },
+      time_ms: Number(end - start) / 1e6
+    };
+  }
+
+  // Builds the record for a new document: the whole document (nested objects and arrays
+  // included) under a generated id, or its own for idStrategy 'client', plus server-side
+  // createdAt and updatedAt. Returns { success: false, ... } when it cannot be stored.
+  // `batch` holds the ids and unique values claimed earlier in the same insertMany().
+  buildRecord(doc, batch = null) {
+    const reserved = reservedFieldError(doc);
+    if (reserved) return reserved;
+    let uniqueId;
+    if (this.idStrategy === 'client') {
+      if (typeof doc.id !== 'string' || !CLIENT_ID_PATTERN.test(doc.id)) {
+        return { success: false, invalid: true, msg: "Validation failed", errors: [{ field: 'id', msg: "must be 1-128 URL-safe characters" }] };
+      }
+      // In a transaction the staged version decides: an id it has deleted is free again
+      const existing = this.indexTree.findFilePosition(doc.id);
+      const taken = batch && batch.staged && batch.staged.has(doc.id)
+        ? batch.staged.get(doc.id) !== null
+        : (existing !== null && existing !== undefined) || (batch !== null && batch.ids.has(doc.id));
+      if (taken) return { success: false, conflict: true, msg: "Id already in use" };
+      uniqueId = doc.id;
+    } else {
+      uniqueId = generateId(this.idStrategy);
+    }
+    const { id: _id, createdAt: _createdAt, updatedAt: _updatedAt, _version: _v, ...fields } = doc;
+    const now = Date.now();
+    let record = { id: uniqueId, ...fields, createdAt: now, updatedAt: now, _version: 1 };
+    if (this.schema) {
+      const { record: checked, errors } = validateDocument(this.schema, record);
+      if (errors.length > 0) return { success: false, invalid: true, msg: "Validation failed", errors: errors };
+      record = checked;
+    }
+    const conflict = this.uniqueConflict(record, batch);
+    if (conflict) return { success: false, conflict: true, msg: conflict };
+    if (batch) this.claim(record, batch);
+    return { success: true, record: record };
+  }
+
+  // Reserves a record's id and unique values for the rest of a batch or transaction
+  claim(record, batch) {
+    batch.ids.add(record.id);
+    for (const index of this.indexes.values()) {
+      const key = index.unique ? encodeIndexValue(getField(record, index.field), index.ignoreCase) : null;
+      if (key !== null) batch.keys.set(`${index.field}\u0000${key}`, record.id);
+    }
+  }
+
+  // Appends the frames with a single write, then indexes them with a single log write
+  appendRecords(records) {
+    const bufs = records.map(record => encodeFrame(record));
+    let currentPos = this.writer.append(Buffer.concat(bufs));
+
+    const changes = [];
+    records.forEach((record, i) => {
+      this.indexTree.insert(record.id, currentPos);
+      changes.push({ op: 'put', id: record.id, pos: currentPos }, ...this.updateSecondaryIndexes(null, null, record, currentPos));
+      currentPos += bufs[i].length;
+    });
+    this.logIndexChanges(changes);
+  }
+
+  async insert(doc) {
+    const start = process.hrtime.bigint();
+    const built = this.buildRecord(doc);
+    if (!built.success) return built;
+    this.appendRecords([built.record]);
+
+    await this.writer.durable();
+    const end = process.hrtime.bigint();
+    return { success: true, doc: built.record, time_ms: Number(end - start) / 1e6 };
+  }
+
+  // Batch insert: every document is checked first, then the good ones are written together.
+  // Results are per item, in input order.
+  async insertMany(docs) {
+    const start = process.hrtime.bigint();
+    const batch = { ids: new Set(), keys: new Map() }; // keys: unique value -> claiming id
+    const records = [];
+    const results = docs.map((doc, index) => {
+      const built = isPlainObject(doc) ? this.buildRecord(doc, batch) : { success: false, msg: "Document must be a JSON object" };
+      if (!built.success) return { index: index, ...built };
+      records.push(built.record);
+      return { index: index, success: true, id: built.record.id };
+    });
+    if (records.length > 0) this.appendRecords(records);
+
+    await this.writer.durable();
+    const end = process.hrtime.bigint();
+    return {
+      success: records.length === docs.length,
+      inserted: records.length,
+      failed: docs.length - records.length,
+      results: results,
+      time_ms: Number(end - start) / 1e6
+    };
+  }
+
+  // Bulk load from rows of { line, doc } or { line, error } (see formats.js), any number of
+  // them: each chunk goes through insertMany(), so one append and one index pass per chunk.
+  // onProgress({ imported, failed, errors }) follows every chunk with that chunk's errors;
+  // the summary keeps the first MAX_IMPORT_ERRORS of them.
+  async importRows(rows, onProgress = null) {
+    const start = process.hrtime.bigint();
+    let imported = 0;
+    let failed = 0;
+    const errors = [];
+    let chunk = [];
+
+    const flush = async () => {
+      const good = chunk.filter(row => row.error === undefined);
+      const result = await this.insertMany(good.map(row => row.doc));
+      imported += result.inserted;
+      result.results.forEach((item, i) => {
+        if (item.success) return;
+        const details = item.errors ? ` (${item.errors.map(e => `${e.field}: ${e.msg}`).join(', ')})` : '';
+        good[i].error = item.msg + details;
+      });
+      const chunkErrors = chunk.filter(row => row.error !== undefined).map(row => ({ line: row.line, msg: row.error }));
+      failed += chunkErrors.length;
+      errors.push(...chunkErrors.slice(0, MAX_IMPORT_ERRORS - errors.length));
+      chunk = [];
+      if (onProgress) onProgress({ imported: imported, failed: failed, errors: chunkErrors });
+    };
+
+    for await (const row of rows) {
+      chunk.push({ ...row });
+      if (chunk.length === IMPORT_CHUNK) await flush();
+    }
+    if (chunk.length > 0) await flush();
+
+    const end = process.hrtime.bigint();
+    return { success: failed === 0, imported: imported, failed: failed, errors: errors, time_ms: Number(end - start) / 1e6 };
+  }
+
+  // The live record behind `id` as a deletion target, or null when there is none
+  deleteTarget(id) {
+    const pos = this.indexTree.findFilePosition(id);
+    if (pos === null || pos === undefined) return null;
+    let record = null;
+    try { record = this.readRecordAt(pos); } catch (e) { /* corrupt: secondary entries stay until a rebuild */ }
+    return { id: id, pos: pos, record: record };
+  }
+
+  // Durable delete: the tombstones go to the data file (one append) before the index changes
+  appendTombstones(targets) {
+    const deletedAt = Date.now();
+    this.writer.append(Buffer.concat(targets.map(target => encodeFrame({ id: target.id, _deleted: true, deletedAt: deletedAt }))));
+
+    const changes = [];
+    for (const target of targets) {
+      this.indexTree.delete(target.id);
+      changes.push({ op: 'del', id: target.id }, ...this.updateSecondaryIndexes(target.record, target.pos, null, null));
+    }
+    this.logIndexChanges(changes);
+  }
+
+  async remove(id, expectedVersion = null) {
+    const start = process.hrtime.bigint();
+    const target = this.deleteTarget(id);
+    if (!target) return { success: false, msg: `${this.noun} not found` };
+    const stale = this.versionMismatch(target.record, expectedVersion);
+    if (stale) return stale;
+    this.appendTombstones([target]);
+
+    await this.writer.durable();
+    const end = process.hrtime.bigint();
+    return { success: true, msg: `${this.noun} deleted`, time_ms: Number(end - start) / 1e6 };
+  }
+
+  async removeMany(ids) {
+    const start = process.hrtime.bigint();
+    const targets = new Map();
+    const results = ids.map(id => {
+      const target = typeof id === 'string' && !targets.has(id) ? this.deleteTarget(id) : null;
+      if (!target) return { id: id, success: false, msg: `${this.noun} not found` };
+      targets.set(id, target);
+      return { id: id, success: true };
+    });
+    if (targets.size > 0) this.appendTombstones([...targets.values()]);
+
+    await this.writer.durable();
+    const end = process.hrtime.bigint();
+    return {
+      success: targets.size === ids.length,
+      deleted: targets.size,
+      failed: ids.length - targets.size,
+      results: results,
+      time_ms: Number(end - start) / 1e6
+    };
+  }
+
+  // Optimistic concurrency: null when no version is expected or the record is still at it,
+  // else the failure to return (an unreadable record never matches)
+  versionMismatch(record, expectedVersion) {
+    if (expectedVersion === null || expectedVersion === undefined) return null;
+    if (record && versionOf(record) === expectedVersion) return null;
+    const found = record ? versionOf(record) : null;
+    return { success: false, stale: true, msg: `${this.noun} has changed (version ${found})`, version: found };
+  }
+
+  // Append-and-repoint: new version goes to the end of the file, index moves to it.
+  // replace = true (PUT) drops fields not in `changes`; id and createdAt never change and
+  // updatedAt is always the time of this write. With expectedVersion set, the write only
+  // happens if the record is still at that version.
+  async update(id, changes, replace = false, expectedVersion = null) {
+    const start = process.hrtime.bigint();
+    const current = this.findById(id).data;
+    if (!current) return { success: false, msg: `${this.noun} not found` };
+    const stale = this.versionMismatch(current, expectedVersion);
+    if (stale) return stale;
+    const built = this.buildUpdate(current, changes, replace);
+    if (!built.success) return built;
+    const record = built.record;
+
+    const oldPos = this.indexTree.findFilePosition(id);
+    const currentPos = this.writer.append(encodeFrame(record));
+
+    // Secondary entries always move: the new version lives at a new position
+    this.indexTree.insert(id, currentPos);
+    this.logIndexChanges([
+      { op: 'put', id, pos: currentPos },
+      ...this.updateSecondaryIndexes(current, oldPos, record, currentPos)
+    ]);
+
+    await this.writer.durable();
+    const end = process.hrtime.bigint();
+    return { success: true, doc: record, time_ms: Number(end - start) / 1e6 };
+  }
+
+  // The next version of `current`: { success: true, record } or the failure update() returns
+  buildUpdate(current, changes, replace = false, batch = null) {
+    const reserved = reservedFieldError(changes);
+    if (reserved) return reserved;
+    const { id: _id, createdAt: _createdAt, updatedAt: _updatedAt, _version: _v, ...fields } = changes;
+    const now = Date.now();
+    const version = versionOf(current) + 1;
+    let record = replace
+      ? { id: current.id, ...fields, createdAt: current.createdAt, updatedAt: now, _version: version }
+      : { ...current, ...fields, updatedAt: now, _version: version };
+    if (this.schema) {
+      const { record: checked, errors } = validateDocument(this.schema, record);
+      if (errors.length > 0) return { success: false, invalid: true, msg: "Validation failed", errors: errors };
+      record = checked;
+    }
+
+    const conflict = this.uniqueConflict(record, batch);
+    if (conflict) return { success: false, conflict: true, msg: conflict };
+    if (batch) this.claim(record, batch);
+    return { success: true, record: record };
+  }
+
+  // --- TRANSACTIONS ---
+  // Runs `fn` with a Transaction, then commits what it staged. A throwing callback writes
+  // nothing (the error propagates); otherwise resolves with commitOperations()' result.
+  async transaction(fn) {
+    const tx = new Transaction();
+    await fn(tx);
+    return this.commitOperations(tx.operations);
+  }
+
+  // All or nothing: every operation is built against the committed data plus the ones
+  // before it (an update can follow an insert of the same id), and if any fails, none is
+  // written. Unique values are checked against the committed owners and earlier claims.
+  // Operations: { op: 'insert', doc } | { op: 'update', id, changes } |
+  // { op: 'replace', id, doc } | { op: 'delete', id }; the last three take an optional
+  // expectedVersion, checked against the version as of the preceding operations.
+  async commitOperations(operations) {
+    const start = process.hrtime.bigint();
+    const staged = new Map(); // id -> latest staged version (null once deleted)
+    const batch = { ids: new Set(), keys: new Map(), staged: staged }; // keys: unique value -> claiming id
+    const current = id => (staged.has(id) ? staged.get(id) : this.findById(id).data);
+    const notFound = { success: false, msg: `${this.noun} not found` };
+    const records = [];
+
+    const results = operations.map((operation, index) => {
+      const { op, id } = isPlainObject(operation) ? operation : {};
+      let built;
+      if (op === 'insert') {
+        built = isPlainObject(operation.doc) ? this.buildRecord(operation.doc, batch) : { success: false, msg: "doc must be a JSON object" };
+      } else if (op === 'update' || op === 'replace') {
+        const body = op === 'update' ? operation.changes : operation.doc;
+        const existing = typeof id === 'string' ? current(id) : null;
+        if (!existing) built = notFound;
+        else if (this.versionMismatch(existing, operation.expectedVersion)) built = this.versionMismatch(existing, operation.expectedVersion);
+        else if (!isPlainObject(body)) built = { success: false, msg: `${op === 'update' ? 'changes' : 'doc'} must be a JSON object` };
+        else built = this.buildUpdate(existing, body, op === 'replace', batch);
+      } else if (op === 'delete') {
+        const existing = typeof id === 'string' ? current(id) : null;
+        if (!existing) built = notFound;
+        else built = this.versionMismatch(existing, operation.expectedVersion) || { success: true, record: { id: id, _deleted: true, deletedAt: Date.now() } };
+      } else {
+        built = { success: false, msg: "op must be one of insert, update, replace, delete" };
+      }
+      if (!built.success) return { index: index, ...built };
+
+      records.push(built.record);
+      staged.set(built.record.id, built.record._deleted === true ? null : built.record);
+      return { index: index, success: true, id: built.record.id };
+    });
+
+    const success = results.every(result => result.success);
+    if (success && records.length > 0) this.appendTransaction(records);
+
+    await this.writer.durable();
+    const end = process.hrtime.bigint();
+    return {
+      success: success,
+      msg: success ? "Transaction committed" : "Transaction aborted",
+      results: results,
+      time_ms: Number(end - start) / 1e6
+    };
+  }
+
+  // One append: begin marker, the frames, commit marker. The index changes are then applied
+  // by the same replayFrames() that recovery uses, so a commit and its redo after a crash
+  // can't disagree.
+  appendTransaction(records) {
+    const txn = crypto.randomUUID();
+    const frames = [
+      { _txn: txn, _begin: true, count: records.length },
+      ...records,
+      { _txn: txn, _commit: true }
+    ];
+    const startPos = this.writer.append(Buffer.concat(frames.map(frame => encodeFrame(frame))));
+    this.logIndexChanges(this.replayFrames(startPos, true));
+  }
+
+  // Folds the log into the index files and releases the data file
+  close() {
+    this.checkpoint();
+    this.writer.close();
+  }
+
+  // Loads the collection afresh from its files after close() (restore swaps them). For
+  // an existing data file init() never waits, so no request sees the collection half-loaded.
+  async reopen() {
+    this.writer = new DataWriter(this.dbFile, this.writer.policy);
+    this.indexTree = this.newTree();
+    this.walEntries = 0;
+    this.walEnd = null;
+    this.keptTail = null;
+    await this.init();
+  }
+
+  // --- SNAPSHOTS ---
+  // Copies the data file up to its current end, plus the index as of that end, into `dir`.
+  // Everything is captured before the first await; after that only bytes below the captured
+  // end are read, and those never change (compaction swaps in a new file and leaves the
+  // open one alone), so writes carry on meanwhile. Resolves with { bytes, documents }.
+  async snapshot(dir) {
+    const bytes = this.writer.tail;
+    const fd = fs.openSync(this.dbFile, 'r');
+    try {
+      const files = [[this.idxFile, encodeIndex(this.indexTree.toArray())]];
+      for (const index of this.indexes.values()) files.push([this.secondaryIndexFile(index.field), encodeIndex(index.tree.toArray())]);
+      for (const file of [this.indexesFile, this.schemaFile, this.settingsFile]) {
+        if (fs.existsSync(file)) files.push([file, fs.readFileSync(file)]);
+      }
+      files.push([this.walFile, JSON.stringify({ op: 'end', pos: bytes }) + '\n']);
+      const documents = this.indexTree.root ? this.indexTree.root.size : 0;
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      const out = await fs.promises.open(path.join(dir, path.basename(this.dbFile)), 'wx');
+      try {
+        await copyRange(fd, out, 0, bytes);
+        await out.sync();
+      } finally {
+        await out.close();
+      }
+      for (const [file, content] of files) await fs.promises.writeFile(path.join(dir, path.basename(file)), content);
+      return { bytes: bytes, documents: documents };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Whether this data file still carries on from `file`, a snapshot's copy of its first
+  // `bytes`: compared over the last few KB of the copy, which a compaction or a restore
+  // since would have changed
+  continues(file, bytes) {
+    if (this.writer.tail < bytes || fs.statSync(file).size !== bytes) return false;
+    const length = Math.min(bytes, 4096);
+    const read = name => {
+      const buf = Buffer.alloc(length);
+      const fd = fs.openSync(name, 'r');
+      try {
+        fs.readSync(fd, buf, 0, length, bytes - length);
+      } finally {
+        fs.closeSync(fd);
+      }
+      return buf;
+    };
+    return read(file).equals(read(this.dbFile));
+  }
+
+  // End offset of the writes from `start` on that were made by `until` (ms): frames are
+  // taken in file order up to the first later one (updatedAt, or deletedAt for tombstones).
+  // A transaction goes as a whole, at the time of its latest frame.
+  logEnd(start, until) {
+    let end = start;
+    let txn = null; // { count, seen, time } between a begin marker and its commit
+    for (const frame of readFrames(this.dbFile, start)) {
+      if (frame.error) break;
+      const record = frame.record;
+      if (isTransactionMarker(record)) {
+        if (record._commit === true && txn && txn.seen === txn.count) {
+          if (txn.time > until) break;
+          end = frame.pos + frame.size;
+        }
+        txn = record._begin === true ? { count: record.count, seen: 0, time: 0 } : null;
+        continue;
+      }
+      const time = (record._deleted === true ? record.deletedAt : record.updatedAt) || 0;
+      if (txn && txn.seen < txn.count) {
+        txn.seen++;
+        txn.time = Math.max(txn.time, time);
+        continue;
+      }
+      txn = null; // Never committed: replay skips it
+      if (time > until) break;
+      end = frame.pos + frame.size;
+    }
+    return end;
+  }
+
+  // Rewrites the data file with only live records (index order) and swaps it in.
+  // Reads keep hitting the old file until the final synchronous swap; writes that
+  // land during the copy are carried over as a raw tail.
+  async compact() {
+    if (this.compacting) return { success: false, msg: "Compaction already running" };
+    if (this.restoring) return { success: false, msg: "A restore is running on this collection" };
+    this.compacting = true;
+    const start = process.hrtime.bigint();
+    const tmpFile = this.dbFile + '.compact';
+
+    try {
+      const startSize = this.writer.tail;
+      const entries = this.indexTree.toArray();
+      const newPosByOld = new Map();
+
+      const fh = await fs.promises.open(this.dbFile, 'r');
+      const stream = fs.createWriteStream(tmpFile);
+      const header = Buffer.alloc(8);
+      let newPos = 0;
+      let dropped = 0;
+      try {
+        for (const entry of entries) {
+          await fh.read(header, 0, 8, entry.pos);
+          const { headerSize, size, crc } = decodeHeader(header);
+          // A frame that fails its checks is left behind (reads of it fail anyway) rather
+          // than failing the whole compaction; its index entries go with it
+          let frame = null;
+          if (entry.pos + headerSize + size <= startSize) {
+            frame = Buffer.alloc(headerSize + size);
+            await fh.read(frame, 0, headerSize + size, entry.pos);
+            if (crc !== null && crc32(frame.subarray(headerSize)) !== crc) {
+              frame = null;
+            } else if (crc === null) {
+              // Legacy frames get a checksum on the way through
+              try { frame = encodeFrame(JSON.parse(frame.toString('utf8', headerSize))); } catch (e) { frame = null; }
+            }
+          }
+          if (frame === null) {
+            this.logger.warn(`⚠️ Dropping ${this.noun.toLowerCase()} ${entry.id}: unreadable frame at offset ${entry.pos}`);
+            dropped++;
+            continue;
+          }
+          if (!stream.write(frame)) { await new Promise(r => stream.once("drain", r)); }
+          newPosByOld.set(entry.pos, newPos);
+          newPos += frame.length;
+        }
+      } finally {
+        await fh.close();
+      }
+      await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.end(resolve);
+      });
+
+      // --- From here on everything is synchronous, so no write can slip in ---
+
+      // Copy frames appended while we were streaming (inserts, updates, tombstones)
+      const oldSize = this.writer.tail;
+      const tailLength = oldSize - startSize;
+      if (tailLength > 0) {
+        const tail = Buffer.alloc(tailLength);
+        const fd = fs.openSync(this.dbFile, 'r');
+        fs.readSync(fd, tail, 0, tailLength, startSize);
+        fs.closeSync(fd);
+        fs.appendFileSync(tmpFile, tail);
+      }
+      const tmpFd = fs.openSync(tmpFile, 'r+');
+      fs.fsyncSync(tmpFd);
+      fs.closeSync(tmpFd);
+
+      // Repoint the current indexes (they already reflect every write made meanwhile)
+      const remap = pos => pos >= startSize ? pos - startSize + newPos : newPosByOld.get(pos);
+      const list = this.indexTree.toArray().map(entry => ({ id: entry.id, pos: remap(entry.pos) })).filter(entry => entry.pos !== undefined);
+      const newTree = this.newTree();
+      newTree.toTree(list);
+      // Secondary entries left on a dead version have no new position and are dropped;
+      // non-unique keys embed the position, so they are re-keyed and re-sorted
+      const newTrees = new Map();
+      for (const index of this.indexes.values()) {
+        const entries = [];
+        for (const entry of index.tree.toArray()) {
+          const pos = remap(entry.pos);
+          if (pos !== undefined) entries.push({ id: rekeySecondary(index, entry.id, pos), pos: pos });
+        }
+        if (!index.unique) entries.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        const tree = this.newTree();
+        tree.toTree(entries);
+        newTrees.set(index.field, tree);
+      }
+
+      // Swap: drop the old index files and log first, so a crash between the renames leaves
+      // a data file without an index (rebuildIndex recovers it) instead of a mismatched pair.
+      // The log must go too: its entries point into the old file.
+      this.dropIndexFiles();
+      fs.renameSync(tmpFile, this.dbFile);
+      this.writer.reopen();
+      this.indexTree = newTree;
+      for (const index of this.indexes.values()) index.tree = newTrees.get(index.field);
+      this.checkpoint();
+
+      const newSize = newPos + tailLength;
+      const end = process.hrtime.bigint();
+      return {
+        success: true,
+        records: list.length,
+        dropped: dropped,
+        old_bytes: oldSize,
+        new_bytes: newSize,
+        bytes_reclaimed: oldSize - newSize,
+        time_ms: Number(end - start) / 1e6
+      };
+    } catch (err) {
+      if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+      throw err;
+    } finally {
+      this.compacting = false;
+    }
+  }
+
+  // Scans every frame in the data file and reports the ones that fail their checks.
+  // repair = true truncates a torn tail (bad frames after the last good one, e.g. a crash
+  // during a write) and drops index entries that pointed into it.
+  verify({ repair = false } = {}) {
+    const start = process.hrtime.bigint();
+    const errors = [];
+    let frames = 0;
+    let validEnd = 0; // End offset of the last good frame
+
+    for (const frame of readFrames(this.dbFile)) {
+      if (frame.error) {
+        errors.push({ offset: frame.pos, error: frame.error });
+        continue;
+      }
+      frames++;
+      validEnd = frame.pos + frame.size;
+    }
+
+    const fileSize = fs.statSync(this.dbFile).size;
+    const tornTail = validEnd < fileSize && errors.length > 0 && errors[errors.length - 1].offset >= validEnd;
+    let truncatedAt = null;
+    let salvaged = 0;
+    if (repair && tornTail) {
+      // A transaction the tear cut short goes too, or the rescued records would land
+      // inside it (see trimTornTail())
+      const txnAt = openTransactionAt(this.dbFile, 0, validEnd);
+      const cut = txnAt !== null ? txnAt : validEnd;
+      // Records written after the tear are unreachable by a scan but may still be indexed
+      // and intact: read them out first, then re-append them behind the cut.
+      const rescued = [];
+      const fd = fs.openSync(this.dbFile, 'r');
+      try {
+        for (const entry of this.indexTree.toArray()) {
+          if (entry.pos < cut) continue;
+          try { rescued.push(readFrameAt(fd, entry.pos)); } catch (e) { /* unreadable, dropped below */ }
+          this.indexTree.delete(entry.id);
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      // Positions move: same index/log handling as compact()
+      this.dropIndexFiles();
+      fs.truncateSync(this.dbFile, cut);
+      this.writer.reopen();
+      this.keptTail = null;
+      truncatedAt = cut;
+      for (const record of rescued) this.indexTree.insert(record.id, this.writer.append(encodeFrame(record)));
+      salvaged = rescued.length;
+      this.buildSecondaryIndexes([...this.indexes.values()]);
+      this.checkpoint();
+    }
+
+    const remaining = truncatedAt === null ? errors : errors.filter(e => e.offset < truncatedAt);
+    const end = process.hrtime.bigint();
+    return {
+      success: remaining.length === 0,
+      frames: frames,
+      bytes: fileSize,
+      errors: errors,
+      torn_tail: tornTail,
+      truncated_at: truncatedAt,
+      salvaged: salvaged,
+      time_ms: Number(end - start) / 1e6
+    };
+  }
+}
+
+// ==========================================
+// 2. COLLECTIONS
+// ==========================================
+// Every sub-directory of data/ is a collection. "users" always exists and backs /users.
+const USERS_COLLECTION = {
+  noun: 'User',
+  defaultIndexes: [{ field: 'email', unique: true, ignoreCase: true }],
+  schema: {
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      email: { type: 'string', format: 'email' }
+    },
+    required: ['name', 'email']
+  }
+};
+
+// Options:
+//   index      'btree' (default) or 'avl': the tree behind every index
+//   degree     B-tree minimum degree (default 3)
+//   fsync      'always' (default), 'never' or an interval in ms (see DataWriter)
+//   seed       sample users written when the users collection is first created (default 0)
+//   pageSize / maxPageSize  default and largest limit for reads (default 20 / 100)
+//   legacyDir  where to look for pre-collection users.* files to move in (default: don't)
+//   openDamaged  open a data file with damage ahead of a torn tail instead of failing, so
+//              it can be repaired (default false)
+//   keepTornTail  leave a torn tail in the data file instead of cutting it on open, for
+//              opens that only read or verify (default false)
+//   logger     where progress and warnings go: an object with log() and warn() (default console)
+class GigaDb {
+  constructor(dir = DATA_DIR, { index = 'btree', degree = 3, fsync = 'always', seed = 0, pageSize = PAGE_SIZE, maxPageSize = MAX_PAGE_SIZE, legacyDir = null, openDamaged = false, keepTornTail = false, logger = console } = {}) {
+    if (!(index in INDEX_TYPES)) throw new Error(`index must be one of ${Object.keys(INDEX_TYPES).join(', ')}`);
+    if (!Number.isInteger(degree) || degree < 2) throw new Error("degree must be an integer of at least 2");
+    if (!Number.isInteger(pageSize) || !Number.isInteger(maxPageSize) || pageSize < 1 || pageSize > maxPageSize) {
+      throw new Error("pageSize and maxPageSize must be integers with 1 <= pageSize <= maxPageSize");
+    }
+    this.dir = dir;
+    // Passed to every collection
+    this.options = { index: index, degree: degree, fsync: fsync, pageSize: pageSize, maxPageSize: maxPageSize, openDamaged: openDamaged, keepTornTail: keepTornTail, logger: logger };
+    this.logger = logger;
+    this.seed = seed;
+    this.legacyDir = legacyDir;
+    this.collections = new Map(); // name -> Collection
+    this.restoring = false;
+  }
+
+  // Resolves with a database whose collections have all loaded (or rebuilt) their indexes
+  // and finished seeding
+  static async open(dir = DATA_DIR, options = {}) {
+    const db = new GigaDb(dir, options);
+    await db.init();
+    return db;
+  }
+
+  async init() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    if (this.legacyDir !== null) this.migrateLegacyFiles();
+    await this.openCollection('users');
+    for (const entry of fs.readdirSync(this.dir, { withFileTypes: true })) {
+      if (entry.isDirectory() && COLLECTION_NAME.test(entry.name) && !this.collections.has(entry.name)) await this.openCollection(entry.name);
+    }
+  }
+
+  // Before collections, users.* lived in the working directory. The data file moves last,
+  // so an interrupted move is simply resumed on the next start.
+  migrateLegacyFiles() {
+    const target = path.join(this.dir, 'users');
+    if (!fs.existsSync(path.join(this.legacyDir, 'users.jsonl')) || fs.existsSync(path.join(target, 'users.jsonl'))) return;
+    fs.mkdirSync(target, { recursive: true });
+    const files = fs.readdirSync(this.legacyDir).filter(file => /^users\.(idx|idx\.wal|indexes\.json|[A-Za-z0-9_.]+\.idx)$/.test(file));
+    for (const file of [...files, 'users.jsonl']) fs.renameSync(path.join(this.legacyDir, file), path.join(target, file));
+    this.logger.log(`📦 Moved users files into ${target}/`);
+  }
+
+  async openCollection(name) {
+    const options = name === 'users' ? { ...USERS_COLLECTION, seed: this.seed } : {};
+    const collection = new Collection(name, path.join(this.dir, name), { ...options, ...this.options });
+    await collection.init();
+    this.collections.set(name, collection);
+    return collection;
+  }
+
+  close() {
+    for (const collection of this.collections.values()) collection.close();
+    this.collections.clear();
+  }
+
+  collection(name) {
+    return this.collections.get(name) || null;
+  }
+
+  async createCollection(name, { schema = null, idStrategy = 'uuid' } = {}) {
+    if (typeof name !== 'string' || !COLLECTION_NAME.test(name)) return { success: false, msg: "Invalid collection name" };
+    if (this.collections.has(name)) return { success: false, conflict: true, msg: `Collection '${name}' already exists` };
+    const error = schema === null ? null : schemaError(schema);
+    if (error) return { success: false, msg: error };
+    if (!ID_STRATEGIES.includes(idStrategy)) return { success: false, msg: `idStrategy must be one of ${ID_STRATEGIES.join(', ')}` };
+    const collection = await this.openCollection(name);
+    collection.setIdStrategy(idStrategy);
+    if (schema !== null) collection.setSchema(schema);
+    return { success: true, collection: this.describeCollection(collection) };
+  }
+
+  dropCollection(name) {
+    const collection = this.collections.get(name);
+    if (!collection) return { success: false, msg: `Collection '${name}' not found` };
+    if (name === 'users') return { success: false, conflict: true, msg: "The users collection is built in" };
+    if (collection.compacting) return { success: false, conflict: true, msg: "Compaction is running on this collection" };
+    if (collection.restoring) return { success: false, conflict: true, msg: "A restore is running on this collection" };
+
+    this.collections.delete(name);
+    collection.writer.close();
+    fs.rmSync(collection.dir, { recursive: true, force: true });
+    return { success: true, msg: `Collection '${name}' dropped` };
+  }
+
+  listCollections() {
+    return [...this.collections.values()].map(collection => this.describeCollection(collection));
+  }
+
+  // Transactions are atomic within a single collection (each one has its own data file)
+  transaction(fn, { collection = 'users' } = {}) {
+    const target = this.collections.get(collection);
+    if (!target) return Promise.reject(new Error(`Collection '${collection}' not found`));
+    return target.transaction(fn);
+  }
+
+  // --- SNAPSHOTS ---
+  // A copy of every collection in `dest` (which must not exist yet) while writes carry on.
+  // All collections are captured at the same moment, since each Collection.snapshot()
+  // captures before it first awaits. Built under <dest>.partial and renamed when complete.
+  async snapshot(dest) {
+    const start = process.hrtime.bigint();
+    if (fs.existsSync(dest)) return { success: false, conflict: true, msg: `${dest} already exists` };
+    const partial = dest + '.partial';
+    fs.rmSync(partial, { recursive: true, force: true });
+    fs.mkdirSync(partial, { recursive: true });
+
+    const manifest = { createdAt: Date.now(), collections: {} };
+    const collections = [...this.collections.values()];
+    try {
+      const copies = await Promise.all(collections.map(collection => collection.snapshot(path.join(partial, collection.name))));
+      collections.forEach((collection, i) => {
+        manifest.collections[collection.name] = copies[i];
+      });
+      fs.writeFileSync(path.join(partial, SNAPSHOT_MANIFEST), JSON.stringify(manifest, null, 2));
+      fs.renameSync(partial, dest);
+    } catch (err) {
+      fs.rmSync(partial, { recursive: true, force: true });
+      throw err;
+    }
+    this.logger.log(`📸 Snapshot written to ${dest}`);
+    const end = process.hrtime.bigint();
+    return { success: true, path: dest, ...manifest, time_ms: Number(end - start) / 1e6 };
+  }
+
+  // The manifest of the snapshot in `src` ({ createdAt, collections }), or null
+  static readSnapshot(src) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(src, SNAPSHOT_MANIFEST), 'utf-8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Brings back every collection in the snapshot at `src` (others are left alone). With
+  // `until` (ms since the epoch or a date string), writes made after the snapshot are then
+  // redone from each current data file up to that time, as long as it still carries on
+  // from the snapshot (not after a compaction). Writes made while the restore runs are
+  // not carried over. The replaced files are kept under <dir>/.replaced-<time>/.
+  async restore(src, { until = null } = {}) {
+    const start = process.hrtime.bigint();
+    const manifest = GigaDb.readSnapshot(src);
+    if (!manifest) return { success: false, notFound: true, msg: `No snapshot at ${src}` };
+    const untilMs = until === null ? null : parseTime(until);
+    if (until !== null && untilMs === null) return { success: false, msg: "until must be a time (ms since the epoch or a date)" };
+    const names = Object.keys(manifest.collections);
+    const held = names.map(name => this.collections.get(name)).filter(collection => collection);
+    const busy = held.find(collection => collection.compacting);
+    if (busy) return { success: false, conflict: true, msg: `Compaction is running on ${busy.name}` };
+    if (this.restoring) return { success: false, conflict: true, msg: "A restore is already running" };
+
+    // Held until the end: a compaction started during the copy would swap its output over
+    // the restored data file
+    this.restoring = true;
+    held.forEach(collection => {
+      collection.restoring = true;
+    });
+    try {
+      const replaced = path.join(this.dir, `.replaced-${Date.now()}`);
+      const restored = [];
+      for (const name of names) {
+        const staging = path.join(this.dir, `.restoring-${name}`);
+        fs.rmSync(staging, { recursive: true, force: true });
+        await fs.promises.cp(path.join(src, name), staging, { recursive: true });
+
+        const live = this.collections.get(name) || null;
+        const bytes = manifest.collections[name].bytes;
+        const stagedFile = path.join(staging, `${name}.jsonl`);
+        let replayed = 0;
+        if (untilMs !== null && live && live.continues(stagedFile, bytes)) {
+          const logEnd = live.logEnd(bytes, untilMs);
+          const fd = fs.openSync(live.dbFile, 'r');
+          const out = await fs.promises.open(stagedFile, 'a');
+          try {
+            await copyRange(fd, out, bytes, logEnd);
+            await out.sync();
+          } finally {
+            await out.close();
+            fs.closeSync(fd);
+          }
+          replayed = logEnd - bytes;
+        } else if (untilMs !== null) {
+          this.logger.warn(`⚠️ ${name}: no write log continuing the snapshot, restoring it as taken`);
+        }
+
+        // The swap and reload happen without yielding. The restored log ends at the
+        // snapshot, so init() redoes the replayed writes as an unlogged tail.
+        if (live) {
+          live.close();
+          fs.mkdirSync(replaced, { recursive: true });
+          fs.renameSync(live.dir, path.join(replaced, name));
+          fs.renameSync(staging, live.dir);
+          await live.reopen();
+        } else {
+          fs.renameSync(staging, path.join(this.dir, name));
+          await this.openCollection(name);
+          this.collections.get(name).restoring = true;
+          held.push(this.collections.get(name));
+        }
+        const collection = this.collections.get(name);
+        restored.push({ name: name, documents: this.describeCollection(collection).documents, replayed_bytes: replayed });
+      }
+      this.logger.log(`⏪ Restored ${names.join(', ')} from ${src}`);
+      const end = process.hrtime.bigint();
+      return {
+        success: true,
+        snapshot: { path: src, createdAt: manifest.createdAt },
+        until: untilMs,
+        collections: restored,
+        replaced: fs.existsSync(replaced) ? replaced : null,
+        time_ms: Number(end - start) / 1e6
+      };
+    } finally {
+      this.restoring = false;
+      held.forEach(collection => {
+        collection.restoring = false;
+      });
+    }
+  }
+
+  describeCollection(collection) {
+    return {
+      name: collection.name,
+      documents: collection.indexTree.root ? collection.indexTree.root.size : 0,
+      bytes: fs.statSync(collection.dbFile).size,
+      idStrategy: collection.idStrategy,
+      indexes: [...collection.indexes.keys()]
+    };
+  }
+}
+
+module.exports = { GigaDb, Collection, Transaction, isPlainObject, versionOf };
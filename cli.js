@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { GigaDb } = require('./GigaDb');
+const { loadConfig, dbOptions } = require('./config');
+const { FORMATS, readDocuments, csvColumns, csvRow } = require('./formats');
+
+const USAGE = `Usage: gigadb <command> [options]
+
+Commands:
+  stats                 Collections with their document counts, sizes and indexes
+  get <id>              Print one document
+  dump                  Every document as NDJSON (or CSV), in id order
+  import <file>         Insert the documents in an NDJSON or CSV file (- reads stdin)
+  rebuild-index         Rebuild the indexes from the data file
+  verify [--repair]     Check every frame of the data file
+  compact               Rewrite the data file with only live records
+  seed <n>              Add n sample users
+  snapshot <dest>       Copy every collection into the directory dest
+  restore <snapshot>    Bring back the collections in a snapshot; with --until, then
+                        redo the writes made after it up to that time
+
+Options:
+  --collection <name>   Collection to work on (default: users; stats: all)
+  --format ndjson|csv   dump: output format (default: ndjson)
+                        import: input format (default: from the file extension)
+  --out <file>          Where dump writes (default: stdout)
+  --until <time>        restore: ms since the epoch or a date (e.g. 2026-10-19T09:30:00Z)
+  --data-dir, --index, --degree, --fsync, --page-size, --max-page-size, --config
+                        Same as for the server (see config.js)
+
+Works on the files directly, so stop the server first. Exits with 1 on any error.`;
+
+const VALUE_OPTIONS = ['collection', 'format', 'out', 'until'];
+
+// Commands that only read the data file: they leave a torn tail for verify to report
+const READ_ONLY_COMMANDS = ['stats', 'get', 'dump', 'verify'];
+
+// Command options out of the arguments config.js didn't take
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(args[i]);
+    if (!match) {
+      positional.push(args[i]);
+    } else if (match[1] === 'repair' && match[2] === undefined) {
+      options.repair = true;
+    } else if (VALUE_OPTIONS.includes(match[1])) {
+      const value = match[2] !== undefined ? match[2] : args[++i];
+      if (value === undefined || value === '') throw new Error(`--${match[1]} needs a value`);
+      options[match[1]] = value;
+    } else {
+      throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+  return { positional, options };
+}
+
+function print(value) {
+  process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+}
+
+function target(db, options) {
+  const name = options.collection || 'users';
+  const collection = db.collection(name);
+  if (!collection) throw new Error(`Collection '${name}' not found`);
+  return collection;
+}
+
+// Resolves once the stream has taken the chunk (waits out backpressure)
+function write(stream, chunk) {
+  return stream.write(chunk) ? Promise.resolve() : new Promise(resolve => stream.once('drain', resolve));
+}
+
+const COMMANDS = {
+  async stats(db, args, options) {
+    print({
+      success: true,
+      dataDir: db.dir,
+      index: db.options.index,
+      collections: options.collection ? [db.describeCollection(target(db, options))] : db.listCollections()
+    });
+    return true;
+  },
+
+  async get(db, [id], options) {
+    if (id === undefined) throw new Error("get needs an id");
+    const collection = target(db, options);
+    const { data } = collection.findById(id);
+    if (!data) throw new Error(`${collection.noun} ${id} not found`);
+    print(data);
+    return true;
+  },
+
+  // Pages through the primary index, so memory stays at one page whatever the size. CSV
+  // takes a first pass to find the fields a schema doesn't list (see csvColumns()).
+  async dump(db, args, options) {
+    const format = options.format || 'ndjson';
+    if (!FORMATS.includes(format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+    const collection = target(db, options);
+    const out = options.out ? fs.createWriteStream(options.out) : process.stdout;
+    let columns = null;
+    if (format === 'csv') {
+      columns = await csvColumns(collection.schema, collection.pages());
+      await write(out, csvRow(columns));
+    }
+    let count = 0;
+    for (const docs of collection.pages()) {
+      const lines = docs.map(doc => (columns ? csvRow(columns.map(field => doc[field])) : JSON.stringify(doc) + '\n'));
+      await write(out, lines.join(''));
+      count += docs.length;
+    }
+    if (out !== process.stdout) await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+    console.error(`📤 Dumped ${count} documents`);
+    return true;
+  },
+
+  // Rows go in through importRows() (same checks as the API; CSV cells are read as the
+  // schema's types). Bad rows are reported by line and skipped; the good ones are kept.
+  async import(db, [file], options) {
+    if (file === undefined) throw new Error("import needs a file (- for stdin)");
+    const format = options.format || (path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'ndjson');
+    if (!FORMATS.includes(format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+    if (file !== '-' && !fs.existsSync(file)) throw new Error(`File ${file} not found`);
+    const collection = target(db, options);
+    const input = file === '-' ? process.stdin : fs.createReadStream(file);
+    const { errors, ...summary } = await collection.importRows(readDocuments(input, format, collection.schema), progress => {
+      for (const error of progress.errors) console.error(`❌ line ${error.line}: ${error.msg}`);
+      console.error(`📥 ${progress.imported} imported, ${progress.failed} failed so far`);
+    });
+    print(summary);
+    return summary.success;
+  },
+
+  async 'rebuild-index'(db, args, options) {
+    const collection = target(db, options);
+    const start = process.hrtime.bigint();
+    collection.rebuildIndex();
+    collection.checkpoint();
+    const end = process.hrtime.bigint();
+    print({ success: true, ...db.describeCollection(collection), time_ms: Number(end - start) / 1e6 });
+    return true;
+  },
+
+  async verify(db, args, options) {
+    const result = target(db, options).verify({ repair: Boolean(options.repair) });
+    print(result);
+    return result.success;
+  },
+
+  async compact(db, args, options) {
+    const result = await target(db, options).compact();
+    print(result);
+    return result.success;
+  },
+
+  async seed(db, [count], options) {
+    if (!/^\d+$/.test(count || '') || Number(count) < 1) throw new Error("seed needs a positive count");
+    const collection = target(db, options);
+    if (collection.name !== 'users') throw new Error("seed only writes sample users");
+    const start = process.hrtime.bigint();
+    const written = await collection.seed(Number(count));
+    const end = process.hrtime.bigint();
+    print({ success: true, seeded: written, skipped: Number(count) - written, time_ms: Number(end - start) / 1e6 });
+    return true;
+  },
+
+  async snapshot(db, [dest]) {
+    if (dest === undefined) throw new Error("snapshot needs a destination directory");
+    const result = await db.snapshot(dest);
+    if (!result.success) throw new Error(result.msg);
+    print(result);
+    return true;
+  },
+
+  async restore(db, [src], options) {
+    if (src === undefined) throw new Error("restore needs a snapshot directory");
+    const result = await db.restore(src, { until: options.until === undefined ? null : options.until });
+    if (!result.success) throw new Error(result.msg);
+    print(result);
+    return true;
+  }
+};
+
+// The engine's progress goes to stderr; stdout is kept for command output
+const STDERR_LOGGER = { log: console.error, warn: console.error };
+
+// Resolves with the exit code
+async function main(argv = process.argv.slice(2)) {
+  let db = null;
+  try {
+    const { config, args } = loadConfig({ argv: argv });
+    const { positional: [command, ...rest], options } = parseArgs(args);
+    if (command === undefined || command === 'help') {
+      console.error(USAGE);
+      return command === undefined ? 1 : 0;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) throw new Error(`Unknown command '${command}' (try gigadb help)`);
+    // Only commands that add data may start a new data directory
+    if (!['import', 'seed', 'restore'].includes(command) && !fs.existsSync(config.dataDir)) {
+      throw new Error(`Data directory ${config.dataDir} not found`);
+    }
+
+    db = await GigaDb.open(config.dataDir, {
+      ...dbOptions(config),
+      seed: 0,
+      openDamaged: command === 'verify',
+      keepTornTail: READ_ONLY_COMMANDS.includes(command),
+      logger: STDERR_LOGGER
+    });
+    const ok = await COMMANDS[command](db, rest, options);
+    return ok ? 0 : 1;
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  } finally {
+    if (db) db.close();
+  }
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,167 @@
+const fs = require('fs');
+
+// Server settings, resolved at startup from (lowest to highest priority):
+//   defaults < config file < environment (.env, then the real environment) < CLI flags
+// The config file is gigadb.config.json in the working directory unless --config or
+// GIGADB_CONFIG names another one. Keys are the option names below; env vars and flags
+// are derived from them (dataDir -> GIGADB_DATA_DIR / --data-dir).
+const CONFIG_FILE = 'gigadb.config.json';
+
+const OPTIONS = {
+  dataDir: { type: 'string', default: 'data' },
+  backupDir: { type: 'string', default: 'backups' }, // Where the admin API keeps snapshots
+  port: { type: 'integer', min: 1, max: 65535, default: 7101 },
+  index: { type: 'enum', values: ['btree', 'avl'], default: 'btree' },
+  degree: { type: 'integer', min: 2, default: 3 }, // B-tree only
+  seed: { type: 'boolean', default: true }, // Seed users when the users collection is created
+  seedCount: { type: 'integer', min: 0, default: 50000 },
+  pageSize: { type: 'integer', min: 1, default: 20 },
+  maxPageSize: { type: 'integer', min: 1, default: 100 },
+  fsync: { type: 'fsync', default: 'always' } // 'always', 'never' or an interval in ms
+};
+
+function envName(key) {
+  return 'GIGADB_' + key.replace(/[A-Z]/g, c => '_' + c).toUpperCase();
+}
+
+function flagName(key) {
+  return key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+// KEY=value lines; blank lines and # comments are skipped, surrounding quotes dropped
+function parseDotEnv(text) {
+  const vars = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (!match || line.trim().startsWith('#')) continue;
+    vars[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return vars;
+}
+
+// Splits argv into { flags: { key: raw value }, args: everything else, configFile }.
+// `--name value` and `--name=value` both work; booleans also take `--name` / `--no-name`.
+function parseFlags(argv) {
+  const byFlag = new Map(Object.keys(OPTIONS).map(key => [flagName(key), key]));
+  const flags = {};
+  const args = [];
+  let configFile = null;
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(no-)?([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    const key = match && byFlag.get(match[2]);
+    const boolean = Boolean(key) && OPTIONS[key].type === 'boolean';
+    if (match && match[2] === 'config' && !match[1]) {
+      configFile = match[3] !== undefined ? match[3] : argv[++i];
+    } else if (!key || (match[1] && !boolean)) {
+      args.push(argv[i]);
+    } else if (match[1]) {
+      flags[key] = false;
+    } else if (match[3] !== undefined) {
+      flags[key] = match[3];
+    } else if (boolean) {
+      flags[key] = true;
+    } else {
+      flags[key] = i + 1 < argv.length ? argv[++i] : ''; // A missing value fails validation
+    }
+  }
+  return { flags, args, configFile };
+}
+
+// The value as its option type, or undefined when it can't be one. Env vars and flags
+// arrive as strings; the config file may use either strings or JSON values.
+function coerce(option, value) {
+  switch (option.type) {
+    case 'string':
+      return typeof value === 'string' && value !== '' ? value : undefined;
+    case 'integer': {
+      const n = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+      return Number.isInteger(n) && n >= option.min && (option.max === undefined || n <= option.max) ? n : undefined;
+    }
+    case 'enum':
+      return option.values.includes(value) ? value : undefined;
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['true', '1', 'yes', 'on'].includes(String(value).toLowerCase())) return true;
+      if (['false', '0', 'no', 'off'].includes(String(value).toLowerCase())) return false;
+      return undefined;
+    case 'fsync': {
+      if (value === 'always' || value === 'never') return value;
+      const ms = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+      return Number.isInteger(ms) && ms > 0 ? ms : undefined;
+    }
+  }
+}
+
+function describe(option) {
+  switch (option.type) {
+    case 'string': return "a non-empty string";
+    case 'integer': return option.max === undefined ? `an integer >= ${option.min}` : `an integer from ${option.min} to ${option.max}`;
+    case 'enum': return `one of ${option.values.join(', ')}`;
+    case 'boolean': return "true or false";
+    case 'fsync': return "'always', 'never' or an interval in milliseconds";
+  }
+}
+
+// Resolves the settings for this process. `defaults` override the built-in defaults (the
+// AVL entry point defaults to index: 'avl'). Throws one error listing every bad value.
+// Returns { config, args } where args are the command-line arguments that weren't flags.
+function loadConfig({ argv = process.argv.slice(2), env = process.env, defaults = {} } = {}) {
+  const { flags, args, configFile } = parseFlags(argv);
+  const errors = [];
+
+  const dotEnv = fs.existsSync('.env') ? parseDotEnv(fs.readFileSync('.env', 'utf-8')) : {};
+  const vars = { ...dotEnv, ...env };
+
+  let file = {};
+  const filename = configFile || vars.GIGADB_CONFIG || CONFIG_FILE;
+  if (fs.existsSync(filename)) {
+    try {
+      file = JSON.parse(fs.readFileSync(filename, 'utf-8'));
+      if (file === null || typeof file !== 'object' || Array.isArray(file)) throw new Error("not a JSON object");
+    } catch (e) {
+      errors.push(`${filename}: ${e.message}`);
+      file = {};
+    }
+    for (const key of Object.keys(file)) {
+      if (!(key in OPTIONS)) errors.push(`${filename}: unknown option '${key}'`);
+    }
+  } else if (filename !== CONFIG_FILE) {
+    errors.push(`Config file ${filename} not found`);
+  }
+
+  const config = {};
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    const sources = [
+      [flags[key], `--${flagName(key)}`],
+      [vars[envName(key)], envName(key)],
+      [file[key], `${filename}: ${key}`]
+    ];
+    const [value, source] = sources.find(([raw]) => raw !== undefined) || [];
+    if (value === undefined) {
+      config[key] = key in defaults ? defaults[key] : option.default;
+      continue;
+    }
+    config[key] = coerce(option, value);
+    if (config[key] === undefined) errors.push(`${source} must be ${describe(option)} (got ${JSON.stringify(value)})`);
+  }
+  if (errors.length === 0 && config.pageSize > config.maxPageSize) {
+    errors.push(`pageSize (${config.pageSize}) must not exceed maxPageSize (${config.maxPageSize})`);
+  }
+
+  if (errors.length > 0) throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+  return { config, args };
+}
+
+// GigaDb.open() options for a loaded config
+function dbOptions(config) {
+  return {
+    index: config.index,
+    degree: config.degree,
+    fsync: config.fsync,
+    seed: config.seed ? config.seedCount : 0,
+    pageSize: config.pageSize,
+    maxPageSize: config.maxPageSize
+  };
+}
+
+module.exports = { loadConfig, dbOptions, OPTIONS };
@@ -0,0 +1,145 @@
+const readline = require('readline');
+
+// Line-based document formats for bulk import and export: NDJSON (one JSON object per
+// line) and CSV (a header row naming the fields, then one document per row; empty cells
+// are left out on import, and the others are read as the collection schema's types).
+const FORMATS = ['ndjson', 'csv'];
+const SYSTEM_COLUMNS = ['createdAt', 'updatedAt', '_version'];
+
+// The fields of one CSV record, or null while a quoted field is still open (the record
+// carries on over the next line). Quotes inside a quoted field are doubled.
+function parseCsvRecord(text) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '' && (i === 0 || text[i - 1] === ',')) {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) return null;
+  fields.push(field);
+  return fields;
+}
+
+// A CSV cell as the type its schema property allows: numbers, booleans and JSON objects or
+// arrays are tried before falling back to the text, whatever order the types are listed in.
+// Columns the schema doesn't type take back the JSON that csvRow() writes for objects and
+// arrays. A cell that fits none of the types stays text, so validation reports the row.
+function csvValue(text, property) {
+  const types = property && property.type !== undefined ? [].concat(property.type) : ['object', 'array', 'string'];
+  const number = text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : null;
+  if (types.includes('integer') && Number.isInteger(number)) return number;
+  if (types.includes('number') && number !== null) return number;
+  if (types.includes('boolean') && (text === 'true' || text === 'false')) return text === 'true';
+  if ((types.includes('object') || types.includes('array')) && /^\s*[[{]/.test(text)) {
+    try {
+      const value = JSON.parse(text);
+      if (types.includes(Array.isArray(value) ? 'array' : 'object')) return value;
+    } catch (e) { /* not JSON: left as text */ }
+  }
+  return text;
+}
+
+// Reads documents off a stream without holding more than one record in memory. Yields
+// { line, doc } or, for a row that can't be parsed, { line, error }; `line` is 1-based and
+// points at the row's first line. An unusable CSV header is an error that ends the input.
+// `schema` (the collection's, or null) types the CSV cells.
+async function* readDocuments(input, format, schema = null) {
+  const properties = (schema && schema.properties) || {};
+  const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  let header = null;
+  let pending = null; // CSV record spanning lines: { line, text }
+
+  for await (let text of lines) {
+    lineNumber++;
+    if (lineNumber === 1) text = text.replace(/^\uFEFF/, '');
+
+    if (format === 'ndjson') {
+      if (text.trim() === '') continue;
+      let doc;
+      try {
+        doc = JSON.parse(text);
+      } catch (err) {
+        yield { line: lineNumber, error: `Invalid JSON: ${err.message}` };
+        continue;
+      }
+      yield { line: lineNumber, doc: doc };
+      continue;
+    }
+
+    const record = pending ? { line: pending.line, text: `${pending.text}\n${text}` } : { line: lineNumber, text: text };
+    const fields = parseCsvRecord(record.text);
+    if (fields === null) {
+      pending = record;
+      continue;
+    }
+    pending = null;
+    if (header === null) {
+      header = fields.map(field => field.trim());
+      if (header.some(name => name === '') || new Set(header).size !== header.length) {
+        yield { line: record.line, error: "CSV header must name every column, each once" };
+        return;
+      }
+      continue;
+    }
+    if (fields.length === 1 && fields[0].trim() === '') continue;
+    if (fields.length !== header.length) {
+      yield { line: record.line, error: `Expected ${header.length} fields, got ${fields.length}` };
+      continue;
+    }
+    const doc = {};
+    header.forEach((name, i) => {
+      if (fields[i] !== '') doc[name] = csvValue(fields[i], properties[name]);
+    });
+    yield { line: record.line, doc: doc };
+  }
+  if (pending) yield { line: pending.line, error: "Unterminated quoted field" };
+}
+
+// Export columns: id, the schema's top-level properties, every other top-level field found
+// in `pages` (arrays of documents, in order of appearance) and the system fields. `pages`
+// is skipped when the schema sets additionalProperties: false, so a collection's pages()
+// generator can be passed as it is: otherwise it costs a first pass over the data, which
+// gives way to other work between pages. Resolves with the column names.
+async function csvColumns(schema, pages) {
+  const fields = new Set(['id']);
+  if (schema && schema.properties) Object.keys(schema.properties).forEach(name => fields.add(name));
+  if (!schema || schema.additionalProperties !== false) {
+    for (const docs of pages) {
+      docs.forEach(doc => Object.keys(doc).forEach(name => {
+        if (!SYSTEM_COLUMNS.includes(name)) fields.add(name);
+      }));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+  SYSTEM_COLUMNS.forEach(name => fields.add(name));
+  return [...fields];
+}
+
+// One CSV line. Objects and arrays are written as JSON; missing values as empty cells.
+function csvRow(values) {
+  return values.map(value => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\n';
+}
+
+module.exports = { FORMATS, readDocuments, csvColumns, csvRow };
@@ -0,0 +1,564 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const cors = require("cors");
+const { GigaDb, isPlainObject, versionOf } = require('./GigaDb');
+const { loadConfig, dbOptions } = require('./config');
+const { FORMATS, readDocuments, csvColumns, csvRow } = require('./formats');
+
+const MAX_BATCH_SIZE = 10000; // Items per batch request
+const SNAPSHOT_NAME = /^[A-Za-z0-9_-]{1,64}$/; // Snapshots live in backupDir under these names
+
+const NUMERIC_FIELDS = ['createdAt', 'updatedAt', '_version']; // Set by the engine, always numbers
+
+// Whether a field holds numbers: an engine field, or a schema property typed number or integer
+function numericField(collection, field) {
+  if (NUMERIC_FIELDS.includes(field)) return true;
+  const property = collection.schema && collection.schema.properties && collection.schema.properties[field];
+  return Boolean(property && property.type !== undefined && [].concat(property.type).every(type => type === 'number' || type === 'integer'));
+}
+
+// Cursor pagination / range scans: ?limit=&after=<id> | ?cursor=<next_cursor> | ?from=&to= [&by=<field>]
+function scanOptions(query, collection) {
+  const { by, cursor, after, from, to, limit } = query;
+  // Query values are strings: bounds on an index of a numeric field are compared as numbers
+  const numeric = Boolean(by) && numericField(collection, by);
+  const coerce = value => (numeric && value !== undefined && value.trim() !== '' && !isNaN(value) ? Number(value) : value);
+  return {
+    by: by || null,
+    cursor: cursor || null,
+    after: after || null,
+    from: coerce(from),
+    to: coerce(to),
+    limit: limit
+  };
+}
+
+// ETag / If-Match carry the record's _version. If-Match becomes the engine's expectedVersion:
+// null when absent or "*", NaN (never matches) when it names no version we hand out.
+function etag(record) {
+  return `"${versionOf(record)}"`;
+}
+
+function expectedVersion(req) {
+  const header = (req.get('If-Match') || '').trim();
+  if (header === '' || header === '*') return null;
+  const match = /^(?:W\/)?"(\d+)"$/.exec(header);
+  return match ? Number(match[1]) : NaN;
+}
+
+// Batch bodies are a JSON array: documents for POST, ids for DELETE
+function batchError(body) {
+  if (!Array.isArray(body)) return "Body must be a JSON array";
+  if (body.length === 0) return "Batch is empty";
+  if (body.length > MAX_BATCH_SIZE) return `At most ${MAX_BATCH_SIZE} items per batch`;
+  return null;
+}
+
+// Resolves once the response can take more output, or the client has gone (res.destroyed)
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// The HTTP API over an open database: /users for the built-in collection, /collections for
+// the rest, /transactions and /admin. Snapshots made through the API go in `backupDir`.
+function createApp(db, { backupDir = 'backups' } = {}) {
+  const app = express();
+  const users = db.collection('users');
+
+  app.use(cors());
+  app.use(express.json({ limit: '16mb' })); // Room for batch bodies
+
+  // Resolves :name, or answers 404 and returns null
+  function collectionFor(req, res) {
+    const collection = db.collection(req.params.name);
+    if (!collection) res.status(404).json({ success: false, msg: `Collection '${req.params.name}' not found` });
+    return collection;
+  }
+
+  app.get("/users", (req, res) => {
+    try {
+      const result = users.scan(scanOptions(req.query, users));
+      if (!result.success) return res.status(400).json(result);
+      res.json({ success: true, users: result.docs, next_cursor: result.next_cursor, time_taken: result.time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  // Filtered queries: { filter, sort, fields, limit }. The response names the plan that ran.
+  app.post("/users/query", (req, res) => {
+    try {
+      const { filter, sort, fields, limit } = req.body || {};
+      const result = users.query({ filter: filter || {}, sort: sort || null, fields: fields || null, limit: limit });
+      if (!result.success) return res.status(400).json(result);
+      res.json({ success: true, users: result.docs, plan: result.plan, time_ms: result.time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  // Streams every live user in id order, a page at a time, as NDJSON (default) or CSV
+  // (?fields=a,b picks the columns; otherwise fields beyond the schema's are found in a
+  // first pass). Progress is the lines received against X-Total-Count, the count when the export
+  // started; the X-Exported-Count trailer is how many were sent.
+  app.get("/users/export", async (req, res) => {
+    try {
+      const format = req.query.format || 'ndjson';
+      if (!FORMATS.includes(format)) return res.status(400).json({ success: false, msg: `format must be one of ${FORMATS.join(', ')}` });
+      const start = process.hrtime.bigint();
+      let columns = null;
+      if (format === 'csv') {
+        columns = req.query.fields
+          ? String(req.query.fields).split(',').map(field => field.trim()).filter(field => field !== '')
+          : await csvColumns(users.schema, users.pages());
+      }
+
+      res.attachment(`users.${format}`);
+      res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+      res.set('X-Total-Count', String(db.describeCollection(users).documents));
+      res.set('Trailer', 'X-Exported-Count');
+      if (columns) res.write(csvRow(columns));
+      let count = 0;
+      for (const docs of users.pages()) {
+        const lines = docs.map(doc => (columns ? csvRow(columns.map(field => doc[field])) : JSON.stringify(doc) + '\n'));
+        if (!res.write(lines.join('')) && !res.destroyed) await drained(res);
+        if (res.destroyed) return console.log(`⚠️ users export stopped after ${count} records: client went away`);
+        count += docs.length;
+      }
+      res.addTrailers({ 'X-Exported-Count': String(count) });
+      res.end();
+      const end = process.hrtime.bigint();
+      console.log(`📤 Exported ${count} users as ${format} in ${(Number(end - start) / 1e6).toFixed(1)}ms`);
+    } catch (err) {
+      if (res.headersSent) return res.destroy(err);
+      res.status(500).json({ success: false, msg: err.message });
+    }
+  });
+
+  app.get("/users/by-email/:email", (req, res) => {
+    try {
+      const result = users.findByEmail(req.params.email);
+      if (!result.data) return res.status(404).json({ success: false, msg: "User not found" });
+      res.set('ETag', etag(result.data));
+      res.json({ success: true, time_ms: result.time_ms, user: result.data });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.get("/users/by/:field/:value", (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      let result = users.findByIndex(req.params.field, req.params.value, limit);
+      if (!result.success) return res.status(404).json(result);
+      // Path params are strings: numeric fields such as createdAt are retried as numbers
+      if (result.data.length === 0 && req.params.value.trim() !== '' && !isNaN(req.params.value)) {
+        result = users.findByIndex(req.params.field, Number(req.params.value), limit);
+      }
+      res.json({ success: true, time_ms: result.time_ms, users: result.data });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.get("/users/:id", (req, res) => {
+    try {
+      const result = users.findById(req.params.id);
+      if (!result.data) return res.status(404).json({ success: false, msg: "User not found" });
+      res.set('ETag', etag(result.data));
+      res.json({ success: true, time_ms: result.time_ms, user: result.data });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.get("/users/page/:id", (req, res) => {
+    try {
+      const result = users.findByPage(req.params.id);
+      res.json({ success: true, page: Number(req.params.id), users: result.docs, time_taken: result.time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  // Batch writes: one append and one index log write per request, results per item
+  app.post("/users/batch", async (req, res) => {
+    try {
+      const error = batchError(req.body);
+      if (error) return res.status(400).json({ success: false, msg: error });
+      const { time_ms, ...result } = await users.insertMany(req.body);
+      res.json({ ...result, time_taken: time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.delete("/users/batch", async (req, res) => {
+    try {
+      const error = batchError(req.body);
+      if (error) return res.status(400).json({ success: false, msg: error });
+      const { time_ms, ...result } = await users.removeMany(req.body);
+      res.json({ ...result, time_taken: time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  // Streamed body: NDJSON (Content-Type application/x-ndjson) or CSV (text/csv), or name
+  // it with ?format=. Rows are checked like POST /users and written a chunk at a time;
+  // the summary lists bad rows by line. With ?progress=true the response is NDJSON: a
+  // { imported, failed, errors } line per chunk (errors for that chunk), then the summary.
+  app.post("/users/import", async (req, res) => {
+    const progress = req.query.progress === 'true';
+    try {
+      const format = req.query.format || (req.is('text/csv') ? 'csv' : 'ndjson');
+      if (!FORMATS.includes(format)) return res.status(400).json({ success: false, msg: `format must be one of ${FORMATS.join(', ')}` });
+      if (req.body !== undefined) {
+        return res.status(400).json({ success: false, msg: "Send the body as application/x-ndjson or text/csv" });
+      }
+      if (progress) res.type('application/x-ndjson');
+      const { time_ms, ...result } = await users.importRows(readDocuments(req, format, users.schema), chunk => {
+        console.log(`📥 users import: ${chunk.imported} imported, ${chunk.failed} failed so far`);
+        if (progress) res.write(JSON.stringify(chunk) + '\n');
+      });
+      if (progress) return res.end(JSON.stringify({ ...result, time_taken: time_ms }) + '\n');
+      res.json({ ...result, time_taken: time_ms });
+    } catch (err) {
+      // Once progress lines have gone out the status is sent: the error is the last line
+      if (res.headersSent) return res.end(JSON.stringify({ success: false, msg: err.message }) + '\n');
+      res.status(500).json({ success: false, msg: err.message });
+    }
+  });
+
+  app.post("/users", async (req, res) => {
+    try {
+      if (!isPlainObject(req.body)) return res.status(400).json({ success: false, msg: "Body must be a JSON object" });
+      const result = await users.insert(req.body);
+      if (!result.success) return res.status(result.invalid ? 400 : 409).json(result);
+      res.json({ success: true, user: result.doc, time_taken: result.time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.patch("/users/:id", async (req, res) => {
+    try {
+      if (!isPlainObject(req.body)) return res.status(400).json({ success: false, msg: "Body must be a JSON object" });
+      if (Object.keys(req.body).length === 0) return res.status(400).json({ success: false, msg: "Nothing to update" });
+
+      const result = await users.update(req.params.id, req.body, false, expectedVersion(req));
+      if (!result.success) return res.status(result.invalid ? 400 : result.stale ? 412 : result.conflict ? 409 : 404).json(result);
+      res.set('ETag', etag(result.doc));
+      res.json({ success: true, user: result.doc, time_taken: result.time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.put("/users/:id", async (req, res) => {
+    try {
+      if (!isPlainObject(req.body)) return res.status(400).json({ success: false, msg: "Body must be a JSON object" });
+      const result = await users.update(req.params.id, req.body, true, expectedVersion(req));
+      if (!result.success) return res.status(result.invalid ? 400 : result.stale ? 412 : result.conflict ? 409 : 404).json(result);
+      res.set('ETag', etag(result.doc));
+      res.json({ success: true, user: result.doc, time_taken: result.time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.delete("/users/:id", async (req, res) => {
+    try {
+      const result = await users.remove(req.params.id, expectedVersion(req));
+      if (!result.success) return res.status(result.stale ? 412 : 404).json(result);
+      res.json(result);
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.post("/admin/compact", async (req, res) => {
+    try {
+      const result = await users.compact();
+      if (!result.success) return res.status(409).json(result);
+      res.json(result);
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.get("/admin/snapshots", (req, res) => {
+    try {
+      const names = fs.existsSync(backupDir) ? fs.readdirSync(backupDir).filter(name => SNAPSHOT_NAME.test(name)) : [];
+      const snapshots = names
+        .map(name => ({ name: name, manifest: GigaDb.readSnapshot(path.join(backupDir, name)) }))
+        .filter(snapshot => snapshot.manifest)
+        .map(({ name, manifest }) => ({ name: name, createdAt: manifest.createdAt, collections: manifest.collections }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+      res.json({ success: true, snapshots: snapshots });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  // Body: { name } (optional; defaults to the time it is taken)
+  app.post("/admin/snapshots", async (req, res) => {
+    try {
+      const name = (req.body && req.body.name) || `snapshot-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+      if (typeof name !== 'string' || !SNAPSHOT_NAME.test(name)) return res.status(400).json({ success: false, msg: "Invalid snapshot name" });
+      const { path: _path, ...result } = await db.snapshot(path.join(backupDir, name));
+      if (!result.success) return res.status(409).json({ success: false, msg: `Snapshot '${name}' already exists` });
+      res.status(201).json({ ...result, name: name });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  // Body: { snapshot, until } with until (optional) as ms since the epoch or a date string.
+  // Replaces the collections in the snapshot; the replaced files are kept under the data dir.
+  app.post("/admin/restore", async (req, res) => {
+    try {
+      const { snapshot, until = null } = req.body || {};
+      if (typeof snapshot !== 'string' || !SNAPSHOT_NAME.test(snapshot)) return res.status(400).json({ success: false, msg: "snapshot must name a snapshot" });
+      const result = await db.restore(path.join(backupDir, snapshot), { until: until });
+      if (!result.success) return res.status(result.notFound ? 404 : result.conflict ? 409 : 400).json(result);
+      res.json(result);
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.get("/admin/indexes", (req, res) => {
+    res.json({ success: true, indexes: users.listIndexes() });
+  });
+
+  app.post("/admin/indexes", (req, res) => {
+    try {
+      const { field, unique, ignoreCase } = req.body || {};
+      if (!field) return res.status(400).json({ success: false, msg: "Required fields missing" });
+      const result = users.createIndex(field, { unique, ignoreCase });
+      if (!result.success) return res.status(result.conflict ? 409 : 400).json(result);
+      res.json(result);
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.delete("/admin/indexes/:field", (req, res) => {
+    try {
+      const result = users.dropIndex(req.params.field);
+      if (!result.success) return res.status(result.conflict ? 409 : 404).json(result);
+      res.json(result);
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  // --- COLLECTIONS ---
+  app.get("/collections", (req, res) => {
+    try {
+      res.json({ success: true, collections: db.listCollections() });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.post("/collections", async (req, res) => {
+    try {
+      const { name, schema, idStrategy } = req.body || {};
+      if (!name) return res.status(400).json({ success: false, msg: "Required fields missing" });
+      const result = await db.createCollection(name, { schema: schema || null, idStrategy: idStrategy || 'uuid' });
+      if (!result.success) return res.status(result.conflict ? 409 : 400).json(result);
+      res.json(result);
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.delete("/collections/:name", (req, res) => {
+    try {
+      const result = db.dropCollection(req.params.name);
+      if (!result.success) return res.status(result.conflict ? 409 : 404).json(result);
+      res.json(result);
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.patch("/collections/:name", (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      const { idStrategy } = req.body || {};
+      if (!idStrategy) return res.status(400).json({ success: false, msg: "Nothing to update" });
+      const result = collection.setIdStrategy(idStrategy);
+      if (!result.success) return res.status(400).json(result);
+      res.json({ success: true, collection: db.describeCollection(collection) });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.get("/collections/:name/schema", (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      res.json({ success: true, schema: collection.schema });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.put("/collections/:name/schema", (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      const result = collection.setSchema(req.body);
+      if (!result.success) return res.status(400).json(result);
+      res.json(result);
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.delete("/collections/:name/schema", (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      res.json(collection.setSchema(null));
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.get("/collections/:name/docs", (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      const result = collection.scan(scanOptions(req.query, collection));
+      if (!result.success) return res.status(400).json(result);
+      res.json({ success: true, docs: result.docs, next_cursor: result.next_cursor, time_taken: result.time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.post("/collections/:name/docs/query", (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      const { filter, sort, fields, limit } = req.body || {};
+      const result = collection.query({ filter: filter || {}, sort: sort || null, fields: fields || null, limit: limit });
+      if (!result.success) return res.status(400).json(result);
+      res.json(result);
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.get("/collections/:name/docs/:id", (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      const result = collection.findById(req.params.id);
+      if (!result.data) return res.status(404).json({ success: false, msg: "Document not found" });
+      res.set('ETag', etag(result.data));
+      res.json({ success: true, time_ms: result.time_ms, doc: result.data });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.post("/collections/:name/docs/batch", async (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      const error = batchError(req.body);
+      if (error) return res.status(400).json({ success: false, msg: error });
+      const { time_ms, ...result } = await collection.insertMany(req.body);
+      res.json({ ...result, time_taken: time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.delete("/collections/:name/docs/batch", async (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      const error = batchError(req.body);
+      if (error) return res.status(400).json({ success: false, msg: error });
+      const { time_ms, ...result } = await collection.removeMany(req.body);
+      res.json({ ...result, time_taken: time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.post("/collections/:name/docs", async (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      if (!isPlainObject(req.body)) return res.status(400).json({ success: false, msg: "Body must be a JSON object" });
+      const result = await collection.insert(req.body);
+      if (!result.success) return res.status(result.invalid ? 400 : 409).json(result);
+      res.json({ success: true, doc: result.doc, time_taken: result.time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  // PATCH merges the body into the document, PUT replaces it (id and createdAt are kept)
+  app.patch("/collections/:name/docs/:id", async (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      if (!isPlainObject(req.body)) return res.status(400).json({ success: false, msg: "Body must be a JSON object" });
+      const result = await collection.update(req.params.id, req.body, false, expectedVersion(req));
+      if (!result.success) return res.status(result.invalid ? 400 : result.stale ? 412 : result.conflict ? 409 : 404).json(result);
+      res.set('ETag', etag(result.doc));
+      res.json({ success: true, doc: result.doc, time_taken: result.time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.put("/collections/:name/docs/:id", async (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      if (!isPlainObject(req.body)) return res.status(400).json({ success: false, msg: "Body must be a JSON object" });
+      const result = await collection.update(req.params.id, req.body, true, expectedVersion(req));
+      if (!result.success) return res.status(result.invalid ? 400 : result.stale ? 412 : result.conflict ? 409 : 404).json(result);
+      res.set('ETag', etag(result.doc));
+      res.json({ success: true, doc: result.doc, time_taken: result.time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  app.delete("/collections/:name/docs/:id", async (req, res) => {
+    try {
+      const collection = collectionFor(req, res);
+      if (!collection) return;
+      const result = await collection.remove(req.params.id, expectedVersion(req));
+      if (!result.success) return res.status(result.stale ? 412 : 404).json(result);
+      res.json(result);
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  // --- TRANSACTIONS ---
+  // { collection = "users", operations: [...] } -> all of them or none (see commitOperations)
+  app.post("/transactions", async (req, res) => {
+    try {
+      const { collection: name = 'users', operations } = req.body || {};
+      const collection = db.collection(name);
+      if (!collection) return res.status(404).json({ success: false, msg: `Collection '${name}' not found` });
+      if (!Array.isArray(operations) || operations.length === 0) {
+        return res.status(400).json({ success: false, msg: "operations must be a non-empty array" });
+      }
+      if (operations.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({ success: false, msg: `At most ${MAX_BATCH_SIZE} operations per transaction` });
+      }
+
+      const { time_ms, ...result } = await collection.commitOperations(operations);
+      if (!result.success) {
+        const status = result.results.some(item => item.stale) ? 412 : result.results.some(item => item.conflict) ? 409 : 400;
+        return res.status(status).json({ ...result, time_taken: time_ms });
+      }
+      res.json({ ...result, time_taken: time_ms });
+    } catch (err) { res.status(500).json({ success: false, msg: err.message }); }
+  });
+
+  return app;
+}
+
+// Opens the configured database (see config.js) and serves it. CLI: `compact [collection]`
+// / `verify [collection] [--repair]` as the first argument run once (on users by default)
+// instead of starting the server. `defaults` override the built-in config defaults.
+async function main(defaults = {}) {
+  let config;
+  let args;
+  let db;
+  try {
+    ({ config, args } = loadConfig({ defaults: defaults }));
+    // verify has to get past damage it is about to report or repair
+    const verify = args[0] === 'verify';
+    db = await GigaDb.open(config.dataDir, { ...dbOptions(config), legacyDir: '.', openDamaged: verify, keepTornTail: verify });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const [command, ...rest] = args;
+  if (command === 'compact' || command === 'verify') {
+    const name = rest.find(arg => !arg.startsWith('--')) || 'users';
+    const target = db.collection(name);
+    if (!target) {
+      console.error(`Collection '${name}' not found`);
+      process.exit(1);
+    }
+    const run = command === 'compact'
+      ? target.compact()
+      : Promise.resolve().then(() => target.verify({ repair: rest.includes('--repair') }));
+    run
+      .then(result => {
+        console.log(JSON.stringify(result, null, 2));
+        process.exit(result.success ? 0 : 1);
+      })
+      .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+      });
+  } else {
+    const edition = config.index === 'avl' ? 'AVL Edition' : 'B-Tree Edition';
+    createApp(db, { backupDir: config.backupDir }).listen(config.port, () => {
+      console.log(`🚀 High-Perf GigaDB (${edition}) running on port ${config.port}`);
+    });
+  }
+}
+
+module.exports = { createApp, main };